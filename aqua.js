@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+import * as fs from "fs"
+import minimist from "minimist"
+import * as main from "./index.js"
+import * as formatter from "./formatter.js"
+import { diffAquaObjects, getChainUpTo } from "./chain_diff.js"
+import { mergeAquaObjects } from "./chain_merge.js"
+import {
+  openKeyring,
+  getDefaultKeyringPath,
+  isValidIdentity,
+} from "./keyring.js"
+import {
+  createCredentials,
+  encryptCredentials,
+  getDefaultCredentialsPath,
+  listCredentialProfiles,
+} from "./utils.js"
+import { readPassphrase } from "./keystore.js"
+
+const opts = {
+  boolean: ["json", "offline"],
+  // Keeps the wallet addresses from being parsed as numbers
+  string: [
+    "_", "keyring", "label", "valid-from", "valid-until", "output", "credentials", "profile",
+    "passphrase-fd",
+  ],
+}
+const argv = minimist(process.argv.slice(2), opts)
+
+function usage() {
+  console.log(`Usage:
+aqua.js trust add <address, DID, SSH or certificate fingerprint> --label <name> [--valid-from <date>] [--valid-until <date>]
+  to trust the signatures of a wallet address, did:key, SSH key or X.509 certificate
+aqua.js trust remove <address, DID, SSH or certificate fingerprint>
+aqua.js trust list
+aqua.js diff <a.aqua.json>[@<revision hash>] <b.aqua.json>[@<revision hash>]
+  to compare two AQUA files, or two revisions of a chain
+aqua.js merge <a.aqua.json> <b.aqua.json> [--output <file>]
+  to merge the revisions of b into a, after verifying both
+aqua.js credentials create [--profile <name>]
+  to create a new encrypted wallet for notarize.js --sign cli
+aqua.js credentials encrypt
+  to encrypt the plaintext wallets, DID and Nostr keys of earlier versions
+aqua.js credentials list
+  to list the profiles and their wallet addresses
+
+Options:
+  --keyring <file>       Use the keyring <file> instead of
+                         ${getDefaultKeyringPath()}
+  --label <name>         The name of the signer shown by verify.js
+  --valid-from <date>    Only trust signatures made from this ISO 8601 date on
+  --valid-until <date>   Only trust signatures made up to this ISO 8601 date
+  --json                 Print the differences as JSON (diff)
+  --output <file>        Write the merged chain to <file> instead of the first
+                         file (merge)
+  --offline              Don't access the network when verifying both chains,
+                         see verify.js --offline (merge)
+  --credentials <file>   Use the credentials <file> instead of AQUA_CREDENTIALS
+                         or ${getDefaultCredentialsPath()}
+  --profile <name>       The profile of the new wallet, "default" if not given
+  --passphrase-fd <n>    Read the passphrase of the credentials from the file
+                         descriptor <n> instead of AQUA_PASSPHRASE or the
+                         terminal`)
+}
+
+function fail(message) {
+  formatter.log_red(`ERROR: ${message}`)
+  process.exit(1)
+}
+
+function parseDate(option) {
+  const value = argv[option]
+  if (value === undefined) {
+    return null
+  }
+  if (Number.isNaN(Date.parse(value))) {
+    fail(`Invalid --${option} ${value}, expected an ISO 8601 date`)
+  }
+  return new Date(value).toISOString()
+}
+
+function trust(action, identity) {
+  const keyring = openKeyring(argv.keyring || undefined)
+  switch (action) {
+    case "add": {
+      if (!identity || !isValidIdentity(identity)) {
+        fail(`Invalid signer ${identity}, expected a wallet address, a did:key, an SSH key fingerprint or a certificate fingerprint`)
+      }
+      if (!argv.label) {
+        fail("The --label of the signer is required")
+      }
+      const validFrom = parseDate("valid-from")
+      const validUntil = parseDate("valid-until")
+      if (validFrom && validUntil && validFrom > validUntil) {
+        fail("--valid-from is after --valid-until")
+      }
+      keyring.add({
+        identity,
+        label: argv.label,
+        valid_from: validFrom,
+        valid_until: validUntil,
+      })
+      keyring.save()
+      console.log(`Trusted ${identity} as ${argv.label}`)
+      break
+    }
+    case "remove":
+      if (!identity) {
+        fail("The signer to remove is required")
+      }
+      if (!keyring.remove(identity)) {
+        fail(`${identity} is not in the keyring`)
+      }
+      keyring.save()
+      console.log(`Removed ${identity}`)
+      break
+    case "list":
+      for (const signer of keyring.list()) {
+        const validity =
+          signer.valid_from || signer.valid_until
+            ? ` (valid ${signer.valid_from ?? "..."} to ${signer.valid_until ?? "..."})`
+            : ""
+        console.log(`${signer.identity} ${signer.label}${validity}`)
+      }
+      break
+    default:
+      usage()
+      process.exit(1)
+  }
+}
+
+async function credentials(action) {
+  switch (action) {
+    case "create": {
+      const passphrase = await readPassphrase({ fd: argv["passphrase-fd"], confirm: true })
+      const { filePath, walletAddress } = await createCredentials({
+        credentialsPath: argv.credentials,
+        profile: argv.profile,
+        passphrase,
+      })
+      const profile = argv.profile || "default"
+      console.log(`Created the wallet ${walletAddress} of the profile ${profile} in ${filePath}`)
+      break
+    }
+    case "encrypt": {
+      const passphrase = await readPassphrase({ fd: argv["passphrase-fd"], confirm: true })
+      const { filePath, encryptedProfiles } = await encryptCredentials({
+        credentialsPath: argv.credentials,
+        passphrase,
+      })
+      if (encryptedProfiles.length === 0) {
+        console.log(`There are no plaintext credentials in ${filePath}`)
+      } else {
+        console.log(`Encrypted the profiles ${encryptedProfiles.join(", ")} in ${filePath}`)
+      }
+      break
+    }
+    case "list": {
+      const { filePath, profiles } = listCredentialProfiles(argv.credentials)
+      console.log(`Credentials: ${filePath}`)
+      for (const profile of profiles) {
+        const encrypted = profile.encrypted ? " (encrypted)" : ""
+        console.log(`${profile.name} ${profile.wallet_address ?? "no wallet"}${encrypted}`)
+      }
+      break
+    }
+    default:
+      usage()
+      process.exit(1)
+  }
+}
+
+// Reads an AQUA file, or the chain up to a revision if <file>@<revision hash>
+async function readChain(fileWithHash) {
+  const [fileName, targetHash] = fileWithHash.split("@")
+  const aquaObject = await main.readExportFile(fileName)
+  return targetHash ? getChainUpTo(aquaObject, targetHash) : aquaObject
+}
+
+async function diff(fileA, fileB) {
+  if (!fileA || !fileB) {
+    usage()
+    process.exit(1)
+  }
+  const result = diffAquaObjects(await readChain(fileA), await readChain(fileB))
+  if (argv.json) {
+    console.log(JSON.stringify({ a: fileA, b: fileB, ...result }, null, 2))
+  } else {
+    formatter.printAquaDiff(result, fileA, fileB)
+  }
+}
+
+async function merge(fileA, fileB) {
+  if (!fileA || !fileB) {
+    usage()
+    process.exit(1)
+  }
+  const aquaObjects = [await main.readExportFile(fileA), await main.readExportFile(fileB)]
+  for (const [idx, fileName] of [fileA, fileB].entries()) {
+    const result = await main.verifyAquaObject(aquaObjects[idx], { offline: argv.offline })
+    if (!main.isVerifiedStatus(result.status)) {
+      const reason = result.error_message ? `: ${result.error_message}` : ""
+      fail(`${fileName} failed verification with status ${result.status}${reason}`)
+    }
+  }
+  const { aquaObject, overridden } = mergeAquaObjects(aquaObjects[0], aquaObjects[1])
+  for (const entry of overridden) {
+    formatter.log_yellow(
+      `Warning: ${entry.verification_hash} is ${entry.b} in ${fileB}, keeping ${entry.a}`,
+    )
+  }
+  const output = argv.output || fileA
+  fs.writeFileSync(output, JSON.stringify(aquaObject, null, 2), "utf8")
+  const added = Object.keys(aquaObject.revisions).length - Object.keys(aquaObjects[0].revisions).length
+  console.log(`Merged ${added} revisions of ${fileB} into ${output}`)
+}
+
+const [command, ...args] = argv._
+;(async function () {
+  try {
+    switch (command) {
+      case "trust":
+        trust(args[0], args[1])
+        break
+      case "diff":
+        await diff(args[0], args[1])
+        break
+      case "merge":
+        await merge(args[0], args[1])
+        break
+      case "credentials":
+        await credentials(args[0])
+        break
+      default:
+        usage()
+        process.exit(1)
+    }
+  } catch (e) {
+    fail(e.message)
+  }
+})()
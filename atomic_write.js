@@ -0,0 +1,24 @@
+import * as fs from "fs"
+import * as path from "path"
+
+/**
+ * Writes a file by writing a temporary file next to it first, which then
+ * replaces the file. An interrupted write never leaves a partially written
+ * file, and concurrent readers see either the old or the new content. The
+ * parent directories are created if needed.
+ * @param   {string} filePath The file.
+ * @param   {string} content The content.
+ * @param   {Object} options The options of fs.writeFileSync, e.g. the mode of
+ *                           a new file.
+ */
+export function writeFileAtomic(filePath, content, options = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  try {
+    fs.writeFileSync(tmpPath, content, { encoding: "utf8", ...options })
+    fs.renameSync(tmpPath, filePath)
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true })
+    throw e
+  }
+}
@@ -0,0 +1,141 @@
+import canonicalize from "canonicalize"
+import { createAquaObjectTree } from "./aquavhtree.js"
+
+/**
+ * Returns the AQUA object with only the revisions from the genesis up to a
+ * revision, in chain order.
+ * @param   {Object} aquaObject The AQUA object.
+ * @param   {string} targetHash The last revision to keep.
+ * @returns {Object} The AQUA object up to targetHash.
+ */
+export function getChainUpTo(aquaObject, targetHash) {
+  if (!(targetHash in aquaObject.revisions)) {
+    throw new Error(`The revision ${targetHash} is not part of the chain`)
+  }
+  const hashes = new Set()
+  let current = targetHash
+  while (current && !hashes.has(current)) {
+    hashes.add(current)
+    current = aquaObject.revisions[current]?.previous_verification_hash
+  }
+  const revisions = {}
+  const fileIndex = {}
+  for (const [vh, revision] of Object.entries(aquaObject.revisions)) {
+    if (hashes.has(vh)) {
+      revisions[vh] = revision
+    }
+  }
+  for (const [vh, fileName] of Object.entries(aquaObject.file_index ?? {})) {
+    // The links keep the names of their linked chains
+    const owner = Object.entries(revisions).find(
+      ([revisionHash, revision]) =>
+        revisionHash === vh || revision.link_verification_hashes?.includes(vh),
+    )
+    if (owner) {
+      fileIndex[vh] = fileName
+    }
+  }
+  return { revisions, file_index: fileIndex }
+}
+
+// Returns the fields whose values differ, compared canonically
+function diffFields(a, b, keyFilter = () => true) {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(keyFilter)
+  return keys
+    .filter((key) => canonicalize(a[key]) !== canonicalize(b[key]))
+    .sort()
+    .map((key) => ({ field: key, a: a[key] ?? null, b: b[key] ?? null }))
+}
+
+// Returns the deepest revision of the tree of a that is also in b
+function findCommonAncestor(aquaObjectA, aquaObjectB) {
+  const tree = createAquaObjectTree(aquaObjectA)
+  if (!tree.hash) {
+    return null
+  }
+  let common = null
+  let commonDepth = -1
+  const walk = (node, depth) => {
+    if (!(node.hash in aquaObjectB.revisions)) {
+      return
+    }
+    if (depth > commonDepth) {
+      common = node.hash
+      commonDepth = depth
+    }
+    node.children.forEach((child) => walk(child, depth + 1))
+  }
+  walk(tree, 0)
+  return common
+}
+
+/**
+ * Compares two AQUA objects, e.g. two copies of the same chain.
+ * Steps:
+ * - Finds the common ancestor, the latest revision of the revision tree
+ *   that is in both.
+ * - Lists the revisions that are only in either side, in chain order.
+ * - Lists the file_index entries that differ.
+ * - Compares the forms_ fields of the form revisions that only differ
+ *   between both sides, i.e. that have the same previous revision.
+ * - Flags the revisions with the same verification hash but different
+ *   data, which means that one side was tampered with.
+ * @param   {Object} aquaObjectA
+ * @param   {Object} aquaObjectB
+ * @returns {Object} The differences.
+ */
+export function diffAquaObjects(aquaObjectA, aquaObjectB) {
+  const onlyIn = (from, to) =>
+    Object.keys(from.revisions).filter((vh) => !(vh in to.revisions))
+  const onlyInA = onlyIn(aquaObjectA, aquaObjectB)
+  const onlyInB = onlyIn(aquaObjectB, aquaObjectA)
+
+  const tampered = Object.keys(aquaObjectA.revisions)
+    .filter((vh) => vh in aquaObjectB.revisions)
+    .map((vh) => ({
+      verification_hash: vh,
+      fields: diffFields(aquaObjectA.revisions[vh], aquaObjectB.revisions[vh]),
+    }))
+    .filter((entry) => entry.fields.length > 0)
+
+  const fileIndex = diffFields(
+    aquaObjectA.file_index ?? {},
+    aquaObjectB.file_index ?? {},
+  ).map(({ field, a, b }) => ({ verification_hash: field, a, b }))
+
+  const forms = []
+  for (const vhA of onlyInA) {
+    const revisionA = aquaObjectA.revisions[vhA]
+    if (revisionA.revision_type !== "form") {
+      continue
+    }
+    for (const vhB of onlyInB) {
+      const revisionB = aquaObjectB.revisions[vhB]
+      if (
+        revisionB.revision_type === "form" &&
+        revisionB.previous_verification_hash === revisionA.previous_verification_hash
+      ) {
+        forms.push({
+          verification_hash_a: vhA,
+          verification_hash_b: vhB,
+          fields: diffFields(revisionA, revisionB, (key) => key.startsWith("forms_")),
+        })
+      }
+    }
+  }
+
+  return {
+    common_ancestor: findCommonAncestor(aquaObjectA, aquaObjectB),
+    only_in_a: onlyInA.map((vh) => ({
+      verification_hash: vh,
+      revision_type: aquaObjectA.revisions[vh].revision_type,
+    })),
+    only_in_b: onlyInB.map((vh) => ({
+      verification_hash: vh,
+      revision_type: aquaObjectB.revisions[vh].revision_type,
+    })),
+    file_index: fileIndex,
+    forms,
+    tampered,
+  }
+}
@@ -0,0 +1,50 @@
+import { createAquaTree } from "./aquavhtree.js"
+import { diffAquaObjects } from "./chain_diff.js"
+
+/**
+ * Merges two copies of the same chain that were extended independently.
+ * Steps:
+ * - Refuses chains with different genesis revisions.
+ * - Refuses revisions with the same verification hash but different data.
+ * - Appends the revisions of b that are not in a after the revisions of a,
+ *   which keeps every revision after its previous revision.
+ * - Merges the file_index entries. The names in a win over the names in b.
+ * - Rebuilds the tree and treeMapping.
+ * Both sides should have been verified before.
+ * @param   {Object} aquaObjectA
+ * @param   {Object} aquaObjectB
+ * @returns {Object} The merged AQUA object and the file_index entries of b
+ *                   that were overridden.
+ */
+export function mergeAquaObjects(aquaObjectA, aquaObjectB) {
+  const diff = diffAquaObjects(aquaObjectA, aquaObjectB)
+  const genesis = (aquaObject) =>
+    Object.keys(aquaObject.revisions).find(
+      (vh) => aquaObject.revisions[vh].previous_verification_hash === "",
+    )
+  if (genesis(aquaObjectA) !== genesis(aquaObjectB)) {
+    throw new Error("The chains have different genesis revisions")
+  }
+  if (diff.tampered.length > 0) {
+    const conflicts = diff.tampered.map(
+      (entry) => `${entry.verification_hash} (${entry.fields.map((f) => f.field).join(", ")})`,
+    )
+    throw new Error(
+      `Conflicting data for the same verification hash:\n  ${conflicts.join("\n  ")}`,
+    )
+  }
+
+  const revisions = { ...aquaObjectA.revisions }
+  for (const { verification_hash: vh } of diff.only_in_b) {
+    revisions[vh] = aquaObjectB.revisions[vh]
+  }
+  const overridden = diff.file_index.filter((entry) => entry.a !== null && entry.b !== null)
+  const fileIndex = { ...aquaObjectB.file_index, ...aquaObjectA.file_index }
+
+  // The tree and treeMapping of the inputs are outdated
+  const { tree, treeMapping, ...rest } = aquaObjectA
+  return {
+    aquaObject: createAquaTree({ ...rest, revisions, file_index: fileIndex }),
+    overridden,
+  }
+}
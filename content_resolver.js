@@ -0,0 +1,105 @@
+import * as fs from "fs"
+import * as path from "path"
+import * as main from "./index.js"
+import { listFiles } from "./file_list.js"
+
+function readAquaObject(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"))
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Creates the readFileContent and loadLinkedAquaObject options of
+ * verifyAquaObject, which look up the content in a data directory instead of
+ * the current directory.
+ * Steps:
+ * - Looks up the file_index name relative to the data directory, then files
+ *   with the same base name anywhere in the directory tree, and uses the
+ *   first one whose hash matches.
+ * - Otherwise looks up the content by its hash, so that moved and renamed
+ *   copies are found.
+ * - Linked chains are looked up as <file name>.aqua.json the same way, and
+ *   by the linked verification hash among the AQUA files of the tree.
+ * - Names that lead outside of the data directory, e.g. ../secret, are only
+ *   looked up by their base name.
+ * @param   {string} dataDir The root of the directory tree.
+ * @returns {Object} The readFileContent and loadLinkedAquaObject options.
+ */
+export function createContentResolver(dataDir) {
+  // The directory tree is only listed and hashed when needed, and only once
+  let files = null
+  const getFiles = () => {
+    files = files ?? listFiles(dataDir)
+    return files
+  }
+  const hashIndexes = new Map()
+  const getHashIndex = (hashAlgorithm) => {
+    if (!hashIndexes.has(hashAlgorithm)) {
+      const hashIndex = new Map()
+      for (const filePath of getFiles()) {
+        hashIndex.set(main.getFileHashSum(filePath, hashAlgorithm), filePath)
+      }
+      hashIndexes.set(hashAlgorithm, hashIndex)
+    }
+    return hashIndexes.get(hashAlgorithm)
+  }
+  const root = path.resolve(dataDir)
+  const isInDataDir = (filePath) => {
+    const relativePath = path.relative(root, filePath)
+    return relativePath !== "" && !relativePath.startsWith("..") && !path.isAbsolute(relativePath)
+  }
+  const findByName = (fileName) => {
+    const exactPath = path.resolve(root, fileName)
+    const sameName = getFiles().filter(
+      (filePath) =>
+        path.basename(filePath) === path.basename(fileName) &&
+        path.resolve(filePath) !== exactPath,
+    )
+    return [...(isInDataDir(exactPath) ? [exactPath] : []), ...sameName].filter((filePath) =>
+      fs.existsSync(filePath),
+    )
+  }
+
+  const readFileContent = (fileName, verificationHash, revision) => {
+    const hashAlgorithm = revision?.hash_algorithm ?? main.DEFAULT_HASH_ALGORITHM
+    const fileHash = revision?.file_hash
+    const candidates = findByName(fileName)
+    const match =
+      candidates.find(
+        (filePath) => main.getFileHashSum(filePath, hashAlgorithm) === fileHash,
+      ) ??
+      (fileHash !== undefined ? getHashIndex(hashAlgorithm).get(fileHash) : undefined)
+    if (match === undefined) {
+      throw new Error(`no file with hash ${fileHash} named ${fileName} or elsewhere in ${dataDir}`)
+    }
+    return fs.readFileSync(match)
+  }
+
+  const loadLinkedAquaObject = (fileName, verificationHash) => {
+    const candidates = findByName(`${fileName}.aqua.json`)
+    const containsRevision = (aquaObject) =>
+      !!aquaObject?.revisions && verificationHash in aquaObject.revisions
+    for (const filePath of candidates) {
+      const aquaObject = readAquaObject(filePath)
+      if (containsRevision(aquaObject)) {
+        // Validated against the schema of the AQUA format
+        return main.readExportFile(filePath)
+      }
+    }
+    for (const filePath of getFiles()) {
+      if (!filePath.endsWith(".aqua.json")) {
+        continue
+      }
+      const aquaObject = readAquaObject(filePath)
+      if (containsRevision(aquaObject)) {
+        return main.readExportFile(filePath)
+      }
+    }
+    throw new Error(`no AQUA file named ${fileName}.aqua.json or with revision ${verificationHash} in ${dataDir}`)
+  }
+
+  return { readFileContent, loadLinkedAquaObject }
+}
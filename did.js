@@ -15,7 +15,6 @@ const signature = {
       if (expected.message !== result.payload.message) return false
       if (key !== result.kid.split("#")[0]) return false
     } catch (e) {
-      console.log(e)
       return false
     }
     return true
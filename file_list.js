@@ -0,0 +1,74 @@
+import * as fs from "fs"
+import * as path from "path"
+
+// Lists the regular files of a directory tree. Symbolic links, hidden
+// directories and node_modules are not followed.
+export function listFiles(dir) {
+  const files = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (entry.name.startsWith(".") || entry.name === "node_modules") {
+        continue
+      }
+      files.push(...listFiles(entryPath))
+    } else if (entry.isFile()) {
+      files.push(entryPath)
+    }
+  }
+  return files
+}
+
+// Converts a glob to a regular expression. "**" matches any number of
+// directories, "*" anything but "/" and "?" a single character.
+function globToRegExp(glob) {
+  let source = ""
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" also matches no directory at all
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?"
+        i += 2
+      } else {
+        source += ".*"
+        i += 1
+      }
+    } else if (char === "*") {
+      source += "[^/]*"
+    } else if (char === "?") {
+      source += "[^/]"
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Creates a filter of the paths relative to the root of a directory tree.
+ * Like in .gitignore, a glob without "/" matches the base name in any
+ * directory, e.g. "*.tar.gz", otherwise the whole relative path, e.g.
+ * "docs/**".
+ * @param   {string[]} include The globs of the files to keep, all the files
+ *                             if empty.
+ * @param   {string[]} exclude The globs of the files to leave out.
+ * @returns {Function} Returns whether a relative path passes the filter.
+ */
+export function createGlobFilter(include, exclude) {
+  const toMatcher = (glob) => {
+    const regExp = globToRegExp(glob)
+    return glob.includes("/")
+      ? (relativePath) => regExp.test(relativePath)
+      : (relativePath) => regExp.test(path.posix.basename(relativePath))
+  }
+  const includeMatchers = include.map(toMatcher)
+  const excludeMatchers = exclude.map(toMatcher)
+  return (relativePath) => {
+    const posixPath = relativePath.split(path.sep).join("/")
+    return (
+      (includeMatchers.length === 0 || includeMatchers.some((match) => match(posixPath))) &&
+      !excludeMatchers.some((match) => match(posixPath))
+    )
+  }
+}
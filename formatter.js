@@ -1,7 +1,7 @@
 // Compatibility with browsers.
 // We use "http-status-codes" instead of STATUS_CODES in the "http" library
 // because we need to use this file in the browser.
-import getReasonPhrase from "http-status-codes"
+import { getReasonPhrase } from "http-status-codes"
 
 // https://stackoverflow.com/questions/9781218/how-to-change-node-jss-console-font-color
 const Reset = "\x1b[0m"
@@ -20,7 +20,8 @@ const FILE_GLYPH = "📄"
 // Verification status
 const INVALID_VERIFICATION_STATUS = "INVALID"
 const VERIFIED_VERIFICATION_STATUS = "VERIFIED"
-const ERROR_VERIFICATION_STATUS = "ERROR"
+const LOCALLY_VERIFIED_VERIFICATION_STATUS = "LOCALLY_VERIFIED"
+const NOT_FOLLOWED_VERIFICATION_STATUS = "NOT_FOLLOWED"
 
 function cliRedify(content) {
   return FgRed + content + Reset
@@ -62,23 +63,6 @@ function getApiURL(server) {
   return `${server}/rest.php/data_accounting`
 }
 
-async function getServerInfo(server) {
-  const url = `${server}/rest.php/data_accounting/get_server_info`
-  return fetch(url)
-}
-
-async function checkAPIVersionCompatibility(server) {
-  const response = await getServerInfo(server)
-  if (!response.ok) {
-    return [formatHTTPError(response), false, ""]
-  }
-  const data = await response.json()
-  if (data && data.api_version) {
-    return ["FOUND", data.api_version === apiVersion, data.api_version]
-  }
-  return ["API endpoint found, but API version can't be retrieved", false, ""]
-}
-
 function formatDBTimestamp(ts) {
   // Format 20210927075124 into 'Sep 27, 2021, 7:51:24 AM UTC'
   const year = ts.slice(0, 4)
@@ -124,7 +108,9 @@ function printWitnessInfo(detail) {
   const isoTimestamp = (new Date(wr.witness_timestamp * 1000)).toISOString();
   witOut += `\n${_space4}Timestamp: ${isoTimestamp}`
   const suffix = ` on ${wr.witness_network}`
-  if (wr.isValid) {
+  if (detail.status.type_ok === "unchecked") {
+    witOut += `\n${_space4}${WATCH}Merkle root has not been checked${suffix} (offline)`
+  } else if (wr.isValid) {
     witOut += `\n${_space4}${CHECKMARK}${WATCH}Merkle root has been verified${suffix}`
   } else {
     witOut += cliRedify(
@@ -166,10 +152,52 @@ function displayVHStatus(status) {
   }
 }
 
+function printFormInfo(detail) {
+  const fr = detail.form_result
+  if (detail.revision_type !== "form" || !fr) {
+    return
+  }
+  if (fr.unverifiable.length > 0) {
+    console.warn(`\n  🚨 Warning: The following fields cannot be verified:`)
+    fr.unverifiable.forEach((field, i) => console.log(`   ${i + 1}. ${field}\n`))
+  }
+
+  console.log("\n  The following fields were verified: ")
+  // Empty objects and arrays are kept as a value of their own
+  const formatValue = (value) => typeof value === "object" ? JSON.stringify(value) : value
+  fr.verified.forEach((field) => console.log(`  ${CHECKMARK} ${field}: ${formatValue(detail.data[field])}`))
+  fr.failed.forEach((field) => console.log(`  🚫 ${field}: ${formatValue(detail.data[field])}`))
+  console.log("\n")
+}
+
+// Prints the tree of the linked chains of a link revision
+function printLinkInfo(detail, depth = 1) {
+  if (!detail.link_results) {
+    return
+  }
+  const indent = "  ".repeat(depth + 1)
+  for (const link of detail.link_results) {
+    const summary = `${indent}🔗 ${link.file_name} ${shortenHash(link.verification_hash)}: ${link.status}`
+    if ([VERIFIED_VERIFICATION_STATUS, LOCALLY_VERIFIED_VERIFICATION_STATUS].includes(link.status)) {
+      console.log(summary)
+    } else if (link.status === NOT_FOLLOWED_VERIFICATION_STATUS) {
+      console.log(`${summary} (maximum link depth reached)`)
+    } else {
+      log_red(summary)
+    }
+    for (const linkedDetail of link.result?.revisions ?? []) {
+      printLinkInfo(linkedDetail, depth + 1)
+    }
+  }
+}
+
 function printRevisionInfo(detail, verbose) {
-  if ("error_message" in detail) {
+  if (detail.error_message) {
     log_red(detail.error_message)
-    return
+    if (detail.status.verification !== VERIFIED_VERIFICATION_STATUS) {
+      printLinkInfo(detail)
+      return
+    }
   }
   if (!("verification_hash" in detail)) {
     console.log("  no verification hash")
@@ -183,6 +211,10 @@ function printRevisionInfo(detail, verbose) {
   }
 
   console.log(`  Elapsed: ${detail.elapsed} s`)
+  if (detail.cached) {
+    const checkedAt = new Date(detail.checked_at * 1000).toISOString()
+    console.log(`  Cached outcome, checked at ${checkedAt}`)
+  }
   console.log(
     `  Timestamp: ${formatDBTimestamp(detail.data.local_timestamp)}`
   )
@@ -207,77 +239,133 @@ function printRevisionInfo(detail, verbose) {
 
   let additionalInfo = ""
   if (detail.revision_type === "signature") {
-    additionalInfo = `, ${detail.data.signature_type}, address ${detail.data.signature_wallet_address}`
+    // X.509 signers are identified by the subject of their certificate, SSH
+    // signers by the fingerprint of their key
+    const signer = { "x509:cms": "subject", "ssh:sshsig": "key" }[detail.data.signature_type] ?? "address"
+    additionalInfo = `, ${detail.data.signature_type}, ${signer} ${detail.data.signature_wallet_address}`
+    if (detail.data.signature_purpose !== undefined) {
+      additionalInfo += `, purpose "${detail.data.signature_purpose}"`
+    }
+    const trust = detail.signer_trust
+    if (trust) {
+      additionalInfo += trust.label ? `, ${trust.status} (${trust.label})` : `, ${trust.status} signer`
+    }
   }
   if (detail.status.type_ok === "valid") {
     console.log(`    ${CHECKMARK}${emoji}${detail.status.type_ok}: ${detail.revision_type}${additionalInfo}`)
+  } else if (detail.status.type_ok === "unchecked") {
+    console.log(`    ${emoji}${detail.status.type_ok}: ${detail.revision_type}${additionalInfo}`)
   } else {
     log_red(`    ${CROSSMARK}${emoji}${detail.status.type_ok}: ${detail.revision_type}${additionalInfo}`)
   }
 
   printWitnessInfo(detail)
+  printFormInfo(detail)
+  printLinkInfo(detail)
 }
 
-function checkmarkCrossmark(isCorrect) {
-  return isCorrect ? CHECKMARK : CROSSMARK
-}
-
-async function doPreliminaryAPICall(endpointName, url, token) {
-  let response, errorMsg
-  try {
-    // We do a try block for our first ever fetch because the server might be
-    // down, and we get a connection refused error.
-    response = await fetchWithToken(url, token)
-  } catch (e) {
-    errorMsg = `${endpointName}: ` + e
-    return [ERROR_VERIFICATION_STATUS, { error: errorMsg }]
+// Prints the result of verifyAquaObject in the same format as the
+// verification progresses.
+function printVerificationResult(result, verbose) {
+  const verificationHashes = result.verification_hashes
+  console.log("Page Verification Hashes: ", verificationHashes)
+  for (const [idx, detail] of result.revisions.entries()) {
+    console.log(`${idx + 1}. Verification of Revision ${detail.verification_hash}`)
+    printRevisionInfo(detail, verbose)
+    if (detail.status.verification !== VERIFIED_VERIFICATION_STATUS) {
+      continue
+    }
+    console.log(
+      `  Progress: ${idx + 1} / ${verificationHashes.length} (${(
+        (100 * (idx + 1)) /
+        verificationHashes.length
+      ).toFixed(1)}%)`
+    )
   }
-  if (!response.ok) {
-    let status
-    if (response.status === 404) {
-      status = "404"
-    } else {
-      status = ERROR_VERIFICATION_STATUS
+  if (result.revisions.length === 0 && result.error_message) {
+    log_red(result.error_message)
+  }
+  if (result.branches.length > 1) {
+    console.log(`${BRANCH} ${result.branches.length} branches:`)
+    for (const branch of result.branches) {
+      const isVerified = [
+        VERIFIED_VERIFICATION_STATUS,
+        LOCALLY_VERIFIED_VERIFICATION_STATUS,
+      ].includes(branch.status)
+      const summary = `  ${checkmarkCrossmark(isVerified)} ${shortenHash(branch.latest_verification_hash)} (${branch.verification_hashes.length} revisions): ${branch.status}`
+      if (isVerified) {
+        console.log(summary)
+      } else {
+        log_red(summary)
+      }
     }
-    errorMsg = `${endpointName}: ` + formatHTTPError(response)
-    return [status, { error: errorMsg }]
   }
-  const content = await response.json()
-  if ("error" in content) {
-    return [ERROR_VERIFICATION_STATUS, content]
+  console.log(`Status: ${result.status}`)
+  if (result.status === LOCALLY_VERIFIED_VERIFICATION_STATUS) {
+    console.log("Locally verified, witnesses or linked chains pending (offline verification or maximum link depth).")
   }
-  return ["OK", content]
 }
 
-async function getRevisionHashes(apiURL, title, token) {
-  const hashChainUrl = `${apiURL}/get_hash_chain_info/title?identifier=${title}`
-  const [status, info] = await doPreliminaryAPICall(
-    "get_hash_chain_info",
-    hashChainUrl,
-    token
-  )
-  if (status !== "OK") {
-    if (status === "404") {
-      // Simply return empty array when get_hash_chain_info is 404.
-      // Note: this means that the output when a page is hidden from the public
-      // is indistinguishable from when it simply doesn't have a verification
-      // data. We can't confirm nor deny of which is it.
-      return ["OK", []]
+// Prints the result of evaluatePolicy, separately from the verification
+// status
+function printPolicyResult(policyResult) {
+  for (const rule of policyResult.rules) {
+    const summary = `${rule.rule}: ${rule.message}`
+    if (rule.status === "PASSED") {
+      console.log(`  ${CHECKMARK} ${summary}`)
+    } else if (rule.status === "UNCHECKED") {
+      console.log(`  ${WARN} ${summary} (witnesses not checked)`)
+    } else {
+      log_red(`  ${CROSSMARK} ${summary}`)
     }
-    return [status, info]
   }
+  console.log(`Policy: ${policyResult.status}`)
+}
 
-  const revisionHashesUrl = `${apiURL}/get_revision_hashes/${info.genesis_hash}`
-  const [statusHashes, hashes] = await doPreliminaryAPICall(
-    "get_revision_hashes",
-    revisionHashesUrl,
-    token
-  )
-  if (statusHashes === "404") {
-    // Same reasoning as the previous 404 handling.
-    return ["OK", []]
+// Prints the result of diffAquaObjects
+function printAquaDiff(diff, nameA, nameB) {
+  const formatValue = (value) => (value === null ? "(none)" : JSON.stringify(value))
+  if (diff.common_ancestor) {
+    console.log(`Common ancestor: ${diff.common_ancestor}`)
+  } else {
+    log_red("No common ancestor, the genesis revisions differ")
+  }
+  for (const [name, revisions] of [
+    [nameA, diff.only_in_a],
+    [nameB, diff.only_in_b],
+  ]) {
+    if (revisions.length > 0) {
+      console.log(`Only in ${name} (${revisions.length}):`)
+      revisions.forEach((r) => console.log(`  + ${r.verification_hash} ${r.revision_type}`))
+    }
+  }
+  if (diff.file_index.length > 0) {
+    console.log(`${FILE_GLYPH} Changed file_index entries:`)
+    for (const entry of diff.file_index) {
+      console.log(`  ~ ${shortenHash(entry.verification_hash)}: ${formatValue(entry.a)} -> ${formatValue(entry.b)}`)
+    }
+  }
+  for (const form of diff.forms) {
+    console.log(`📝 Form fields of ${shortenHash(form.verification_hash_a)} -> ${shortenHash(form.verification_hash_b)}:`)
+    for (const field of form.fields) {
+      console.log(`  ~ ${field.field}: ${formatValue(field.a)} -> ${formatValue(field.b)}`)
+    }
+  }
+  if (diff.tampered.length > 0) {
+    log_red(`${WARN} Tampered revisions, same verification hash but different data:`)
+    for (const entry of diff.tampered) {
+      log_red(`  ! ${entry.verification_hash}: ${entry.fields.map((f) => f.field).join(", ")}`)
+    }
+  }
+  const identical =
+    diff.only_in_a.length + diff.only_in_b.length + diff.file_index.length + diff.tampered.length === 0
+  if (identical && diff.common_ancestor) {
+    console.log("The chains are identical")
   }
-  return [statusHashes, hashes]
+}
+
+function checkmarkCrossmark(isCorrect) {
+  return isCorrect ? CHECKMARK : CROSSMARK
 }
 
 function validateTitle(title) {
@@ -296,60 +384,15 @@ function validateTitle(title) {
   return title
 }
 
-// Used by the Chrome extension. Will be removed once we migrate to the
-// generator version.
-async function verifyPage(input, verbose, doVerifyMerkleProof, token) {
-  let verificationHashes
-  if ("server" in input && "title" in input) {
-    const apiURL = getApiURL(input.server)
-    const [status, res] = await getRevisionHashes(apiURL, input.title, token)
-    if (status !== "OK") {
-      return [status, res]
-    }
-    verificationHashes = res
-  } else {
-    if (!("offline_data" in input)) {
-      return [
-        ERROR_VERIFICATION_STATUS,
-        { error: "Input must contain 'server' & 'title', or 'offline_data'" },
-      ]
-    }
-    verificationHashes = Object.keys(input.offline_data.revisions)
-  }
-
-  let count = 0
-  const details = {
-    verification_hashes: verificationHashes,
-    revision_details: [],
-  }
-  let verificationStatus
-  for await (const value of generateVerifyPage(
-    verificationHashes,
-    input,
-    verbose,
-    doVerifyMerkleProof
-  )) {
-    const [isCorrect, detail] = value
-
-    if (isCorrect === null) {
-      console.log("Exiting loop 2.")
-      process.exit(1)
-    }
-
-    details.revision_details.push(detail)
-    if (!isCorrect) {
-      return [INVALID_VERIFICATION_STATUS, details]
-    }
-    count += 1
-  }
-  verificationStatus = calculateStatus(count, verificationHashes.length)
-  return [verificationStatus, details]
-}
 export {
   log_red,
+  log_yellow,
   getApiURL,
-  getRevisionHashes,
   fetchWithToken,
+  formatHTTPError,
   validateTitle,
   printRevisionInfo,
+  printVerificationResult,
+  printPolicyResult,
+  printAquaDiff,
 }
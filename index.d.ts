@@ -1,11 +1,298 @@
+/// <reference types="node" resolution-mode="require"/>
+/// <reference types="node" resolution-mode="require"/>
+import { Buffer } from "buffer";
 import * as formatter from "./formatter.js";
 declare const apiVersion = "0.3.0";
 declare const ERROR_VERIFICATION_STATUS = "ERROR";
-declare const dict2Leaves: (obj: any) => string[];
-declare function getHashSum(content: string): string;
-declare const getFileHashSum: (filename: any) => string;
+declare const LOCALLY_VERIFIED_VERIFICATION_STATUS = "LOCALLY_VERIFIED";
+declare const NOT_FOLLOWED_VERIFICATION_STATUS = "NOT_FOLLOWED";
+declare function parseLocalTimestamp(ts: string): number;
+declare const DEFAULT_HASH_ALGORITHM = "sha256";
+declare const dict2Leaves: (obj: any, hashAlgorithm?: string, hashAlgorithms?: HashAlgorithms) => string[];
+export type HashAlgorithms = {
+    [name: string]: (content: string | Buffer) => string;
+};
+declare function getHashAlgorithmNames(hashAlgorithms?: HashAlgorithms): string[];
+declare function getHashSum(content: string | Buffer, hashAlgorithm?: string, hashAlgorithms?: HashAlgorithms): string;
+declare const getMerkleHashFunction: (hashAlgorithm: string, hashAlgorithms?: HashAlgorithms) => (content: Buffer) => string;
+declare const JCS_CANONICALIZATION = "jcs";
+/**
+ * Returns the string that is hashed into the leaf of a claim of a merklized
+ * revision. Key and value are JCS-encoded, so that nested objects and arrays
+ * are fully covered and no two claims share the same encoding.
+ * @param   {Object} revision The revision data.
+ * @param   {string} key The claim.
+ * @returns {string} The leaf content.
+ */
+declare function getLeafContent(revision: any, key: string): string;
+/**
+ * Returns the verification hash of a scalar revision.
+ * @param   {Object} revision The revision data, including the
+ *                            canonicalization field if any.
+ * @param   {HashAlgorithms} hashAlgorithms Additional hash algorithms.
+ * @returns {string} The 0x-prefixed verification hash.
+ * @throws  {Error} If the canonicalization or hash algorithm is not supported.
+ */
+declare function getScalarVerificationHash(revision: any, hashAlgorithms?: HashAlgorithms): string;
+declare const getFileHashSum: (filename: any, hashAlgorithm?: string) => string;
+/**
+ * Validates an AQUA object against the JSON Schema of the AQUA format in
+ * aqua.schema.json.
+ * @param   {Object} aquaObject The AQUA object.
+ * @returns {string[]} The errors, each prefixed with the JSON pointer of the
+ *                     invalid value. Empty if the AQUA object is valid.
+ */
+declare function validateAquaObject(aquaObject: any): string[];
+/**
+ * Reads an AQUA file from disk.
+ * @param   {string} filename The path to the .json AQUA file.
+ * @returns {Promise<Object>} The parsed AQUA object.
+ * @throws  {Error} If the file does not exist or is not a valid AQUA file.
+ */
 declare function readExportFile(filename: any): Promise<any>;
-declare function generateVerifyPage(verificationHashes: any, aquaObject: any, verbose: boolean | undefined, doVerifyMerkleProof: boolean): AsyncGenerator<{}, void, unknown>;
-declare function verifyPage(input: any, verbose: any, doVerifyMerkleProof: any): Promise<any[]>;
-declare function checkAPIVersionCompatibility(server: any): Promise<any[]>;
-export { generateVerifyPage, verifyPage, apiVersion, ERROR_VERIFICATION_STATUS, dict2Leaves, getHashSum, getFileHashSum, formatter, checkAPIVersionCompatibility, readExportFile, };
+/**
+ * Returns the EIP-712 typed data signed by an ethereum:eip-712 signature, in
+ * the form of eth_signTypedData_v4.
+ * @param   {string} verificationHash The signed revision.
+ * @param   {Object} data The signature_file_name, signature_genesis_hash
+ *                        and signature_purpose of the signature revision.
+ * @returns {Object} The domain, types, primaryType and message.
+ */
+declare function getEIP712TypedData(verificationHash: string, data: any): {
+    domain: {
+        name: string;
+        version: string;
+    };
+    types: {
+        RevisionSignature: {
+            name: string;
+            type: string;
+        }[];
+    };
+    primaryType: string;
+    message: {
+        verificationHash: string;
+        fileName: any;
+        genesisHash: any;
+        purpose: any;
+    };
+};
+/**
+ * Returns the genesis revision of the chain of a revision.
+ * @param   {Object} aquaObject The AQUA object containing the revision.
+ * @param   {string} verificationHash
+ * @returns {string} The verification hash of the genesis revision.
+ */
+declare function getGenesisHash(aquaObject: any, verificationHash: string): string;
+export interface Status {
+    verification: string;
+    type_ok: string;
+}
+export interface WitnessResult {
+    [key: string]: any;
+}
+export interface FormResult {
+    verified: string[];
+    failed: string[];
+    unverifiable: string[];
+}
+interface Input {
+    revision_type: string;
+}
+export interface VerificationResult {
+    scalar: boolean;
+    verification_hash: string;
+    status: Status;
+    witness_result: WitnessResult;
+    form_result: FormResult | null;
+    file_hash: string;
+    data: Input;
+    revision_type: string;
+    elapsed: number;
+    error_message: string | null;
+    link_results: LinkVerificationResult[] | null;
+    cached: boolean;
+    checked_at: number | null;
+    signer_trust: SignerTrust | null;
+}
+export interface SignerTrust {
+    status: string;
+    label: string | null;
+}
+export interface Keyring {
+    lookup(identity: string, time: number): SignerTrust;
+}
+export interface BranchVerificationResult {
+    latest_verification_hash: string;
+    verification_hashes: string[];
+    status: string;
+    error_message: string | null;
+}
+export interface LinkVerificationResult {
+    verification_hash: string;
+    file_name: string;
+    status: string;
+    error_message: string | null;
+    result: AquaVerificationResult | null;
+    aqua_object: any;
+}
+export interface AquaVerificationResult {
+    status: string;
+    verification_hashes: string[];
+    revisions: VerificationResult[];
+    branches: BranchVerificationResult[];
+    elapsed: number;
+    error_message: string | null;
+}
+export interface VerificationOptions {
+    doVerifyMerkleProof?: boolean;
+    targetHash?: string;
+    readFileContent?: (fileName: string, verificationHash: string, revision: any) => Promise<Buffer> | Buffer;
+    loadLinkedAquaObject?: (fileName: string, verificationHash: string) => Promise<any>;
+    offline?: boolean;
+    cache?: VerificationCache;
+    recheck?: boolean;
+    witnessCacheTTL?: number;
+    concurrency?: number;
+    maxLinkDepth?: number;
+    keyring?: Keyring;
+    trustAnchorDir?: string;
+    allowedSignersFile?: string;
+    hashAlgorithms?: HashAlgorithms;
+}
+interface LinkContext {
+    ancestors: string[];
+    links: Map<string, Promise<LinkVerificationResult>>;
+    waits: Map<string, Set<string>>;
+}
+export interface VerificationCacheEntry {
+    status: Status;
+    witness_result: WitnessResult;
+    form_result: FormResult | null;
+    checked_at: number;
+}
+export interface VerificationCache {
+    get(key: string): VerificationCacheEntry | undefined;
+    set(key: string, entry: VerificationCacheEntry): void;
+}
+declare function isVerifiedStatus(status: string): boolean;
+type Limiter = <T>(task: () => Promise<T>) => Promise<T>;
+/**
+ * Verifies the revisions of an AQUA object.
+ * Steps:
+ * - Starts the witness lookups of the witness revisions, which run
+ *   concurrently, limited by options.concurrency.
+ * - Verifies the revisions one after another in chain order, the linked
+ *   chains of a link revision concurrently.
+ * - Yields the isCorrect flag together with the revision detail of every
+ *   revision in chain order.
+ * - Stops after the first revision that is not correct. The witness lookups
+ *   that haven't started yet are skipped.
+ * @param   {Array} verificationHashes The verification hashes to verify, in order.
+ * @param   {Object} aquaObject The AQUA object containing the revisions.
+ * @param   {VerificationOptions} options
+ * @param   {LinkContext} context The state shared with the verification of
+ *                                linked chains.
+ * @param   {Limiter} limit Limits the concurrent witness lookups and linked
+ *                          chain loads, shared with the verification of
+ *                          linked chains.
+ * @returns {Generator} Generator for isCorrect boolean and detail object of
+ *                      each revisions.
+ */
+declare function generateVerifyPage(verificationHashes: any, aquaObject: any, options?: VerificationOptions, context?: LinkContext, limit?: Limiter): AsyncGenerator<(boolean | VerificationResult)[], void, unknown>;
+/**
+ * Verifies an AQUA object.
+ * This function has no side effects: it never exits the process, never
+ * prints anything and keeps no state between calls. Malformed input results
+ * in an INVALID or ERROR status instead of an exception.
+ * @param   {Object} aquaObject The AQUA object, e.g. as read by readExportFile.
+ * @param   {VerificationOptions} options
+ * @returns {Promise<AquaVerificationResult>} The verification result.
+ */
+declare function verifyAquaObject(aquaObject: any, options?: VerificationOptions): Promise<AquaVerificationResult>;
+/**
+ * Verifies an AQUA object, or the hash chain of a page if the input contains
+ * 'server' and 'title', and prints the result. The Chrome extension passes
+ * the AQUA object as 'offline_data' of the input instead.
+ * Kept for backwards compatibility. Use verifyAquaObject or
+ * verifyAquaObjectFromMwAPI when using this package as a library.
+ * @returns {Promise<Array>} The verification status and the details, with the
+ *                           most recent revision first.
+ */
+declare function verifyPage(input: any, verbose: any, doVerifyMerkleProof: any, token?: string): Promise<(string | {
+    verification_hashes: string[];
+    revision_details: VerificationResult[];
+})[]>;
+/**
+ * Converts the result of verifyAquaObject into a machine-readable report
+ * without the raw revision data.
+ * Revisions that were not reached because an earlier one failed are listed
+ * as SKIPPED.
+ * @param   {Object} aquaObject The verified AQUA object.
+ * @param   {AquaVerificationResult} result The result of verifyAquaObject.
+ * @returns {Object} The verification report.
+ */
+declare function generateVerificationReport(aquaObject: any, result: AquaVerificationResult): {
+    status: string;
+    revision_count: number;
+    verified_count: number;
+    unchecked_count: number;
+    elapsed: number;
+    error_message: string;
+    revisions: {
+        verification_hash: string;
+        revision_type: any;
+        previous_verification_hash: any;
+        local_timestamp: any;
+        mode: string;
+        verification: string;
+        type_ok: boolean;
+        elapsed: any;
+        cached: boolean;
+        checked_at: any;
+        signature: any;
+        witness: any;
+        links: any;
+        form: any;
+        error_message: any;
+    }[];
+    branches: BranchVerificationResult[];
+};
+declare function checkAPIVersionCompatibility(server: any, token?: string): Promise<any[]>;
+declare function getRevisionHashes(apiURL: any, title: any, token: any): Promise<any[]>;
+/**
+ * Fetches the hash chain of a page from the data_accounting REST API of a
+ * PKC (MediaWiki) server as an AQUA object.
+ * Steps:
+ * - Looks up the genesis revision of the page with get_hash_chain_info.
+ * - Lists the verification hashes of the chain with get_revision_hashes.
+ * - Fetches every revision with get_revision.
+ * - Uses the file_index of get_hash_chain_info, if any, for the names of the
+ *   linked pages. The file and form revisions default to the page title.
+ * A page without verification data has no revisions.
+ * @param   {string} server The URL of the server, e.g. https://pkc.inblock.io
+ * @param   {string} title The page title.
+ * @param   {string} token The OAuth2 token required to make the API call or PKC must allow any request (LocalSettings.php).
+ * @returns {Promise<Array>} "OK" and the AQUA object, or the status and the
+ *                           error.
+ */
+declare function fetchAquaObjectFromMwAPI(server: any, title: any, token?: string): Promise<any[]>;
+export interface MwAPIVerificationOptions extends VerificationOptions {
+    token?: string;
+}
+/**
+ * Fetches the hash chain of a page from a PKC server and verifies it the
+ * same way as an AQUA file.
+ * - The server doesn't serve files, so the page content has to be part of
+ *   the file revisions, unless options.readFileContent is given, e.g. the one
+ *   of createContentResolver of content_resolver.js.
+ * - Linked chains are fetched from the same server by the title of the linked
+ *   page, unless options.loadLinkedAquaObject is given.
+ * @param   {string} server The URL of the server, e.g. https://pkc.inblock.io
+ * @param   {string} title The page title.
+ * @param   {MwAPIVerificationOptions} options
+ * @returns {Promise<Array>} The fetched AQUA object, or null if it couldn't
+ *                           be fetched, and the verification result.
+ */
+declare function verifyAquaObjectFromMwAPI(server: any, title: any, options?: MwAPIVerificationOptions): Promise<[any, AquaVerificationResult]>;
+export { verifyAquaObject, generateVerifyPage, verifyPage, generateVerificationReport, apiVersion, ERROR_VERIFICATION_STATUS, LOCALLY_VERIFIED_VERIFICATION_STATUS, NOT_FOLLOWED_VERIFICATION_STATUS, isVerifiedStatus, dict2Leaves, getHashSum, getScalarVerificationHash, getLeafContent, JCS_CANONICALIZATION, getMerkleHashFunction, getHashAlgorithmNames, DEFAULT_HASH_ALGORITHM, getFileHashSum, getEIP712TypedData, getGenesisHash, formatter, checkAPIVersionCompatibility, getRevisionHashes, fetchAquaObjectFromMwAPI, verifyAquaObjectFromMwAPI, readExportFile, validateAquaObject, parseLocalTimestamp, };
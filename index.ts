@@ -14,17 +14,41 @@ import * as witnessNostr from "./witness_nostr.js"
 import * as witnessEth from "./witness_eth.js"
 import * as witnessTsa from "./witness_tsa.js"
 import * as did from "./did.js"
+import * as x509 from "./x509.js"
+import * as ssh from "./ssh.js"
+import { createAquaObjectTree, findHashWithLongestPath } from "./aquavhtree.js"
 import crypto from "crypto"
+import { blake3 } from "@noble/hashes/blake3"
+import { bytesToHex } from "@noble/hashes/utils"
+import canonicalize from "canonicalize"
+import Ajv from "ajv"
 
 // Currently supported API version.
 const apiVersion = "0.3.0"
 
-let VERBOSE = undefined
-
 // Verification status
 const INVALID_VERIFICATION_STATUS = "INVALID"
 const VERIFIED_VERIFICATION_STATUS = "VERIFIED"
 const ERROR_VERIFICATION_STATUS = "ERROR"
+// Every local check passed, but witnesses that need network access were not
+// checked (offline verification).
+const LOCALLY_VERIFIED_VERIFICATION_STATUS = "LOCALLY_VERIFIED"
+// A linked chain that was not verified because of the maximum link depth
+const NOT_FOLLOWED_VERIFICATION_STATUS = "NOT_FOLLOWED"
+
+// Witness networks that can be checked without network access, because the
+// witness revision contains the complete evidence.
+const OFFLINE_WITNESS_NETWORKS = ["TSA_RFC3161"]
+
+// Converts a local_timestamp (YYYYMMDDHHMMSS in UTC) into Unix time in
+// seconds
+function parseLocalTimestamp(ts: string): number {
+  const part = (start, end) => Number(ts.slice(start, end))
+  return (
+    Date.UTC(part(0, 4), part(4, 6) - 1, part(6, 8), part(8, 10), part(10, 12), part(12, 14)) /
+    1000
+  )
+}
 
 function getElapsedTime(start) {
   const precision = 2 // 2 decimal places
@@ -34,40 +58,186 @@ function getElapsedTime(start) {
   return (elapsed[0] + elapsed[1] / 1e9).toFixed(precision)
 }
 
-const dict2Leaves = (obj) => {
+// Revisions declare their hash algorithm in the hash_algorithm field.
+// Revisions without it predate that field and use SHA2-256.
+const DEFAULT_HASH_ALGORITHM = "sha256"
+
+const dict2Leaves = (
+  obj,
+  hashAlgorithm: string = DEFAULT_HASH_ALGORITHM,
+  hashAlgorithms: HashAlgorithms = {},
+) => {
   return Object.keys(obj)
     .sort()  // MUST be sorted for deterministic Merkle tree
-    .map((key) => getHashSum(`${key}:${obj[key]}`))
+    .map((key) => getHashSum(getLeafContent(obj, key), hashAlgorithm, hashAlgorithms))
+}
+
+const nodeHashFunction = (nodeName: string) => {
+  return (content: string | Buffer) =>
+    crypto.createHash(nodeName).update(content).digest("hex")
+}
+
+// Hash functions by the name used in the hash_algorithm field. They return
+// the hex digest of a string or Buffer.
+export type HashAlgorithms = { [name: string]: (content: string | Buffer) => string }
+
+const hashFunctions: HashAlgorithms = {
+  "sha256": nodeHashFunction("sha256"),
+  "sha3-512": nodeHashFunction("sha3-512"),
+  "blake2b-512": nodeHashFunction("blake2b512"),
+  "blake3": (content) => bytesToHex(blake3(content)),
+}
+
+// Returns the hash function of a built-in hash algorithm, or else of one of
+// the additional hash algorithms of the caller. The built-in ones can't be
+// replaced.
+function findHashFunction(hashAlgorithm: string, hashAlgorithms: HashAlgorithms) {
+  for (const functions of [hashFunctions, hashAlgorithms]) {
+    if (Object.prototype.hasOwnProperty.call(functions, hashAlgorithm)) {
+      return functions[hashAlgorithm]
+    }
+  }
+  return undefined
+}
+
+function getHashAlgorithmNames(hashAlgorithms: HashAlgorithms = {}): string[] {
+  return Object.keys({ ...hashFunctions, ...hashAlgorithms })
 }
 
-// TODO in the Rust version, you should infer what the hashing algorithm
-// and the digest size are from the multihash itself. Instead of assuming that
-// it is SHA2-256
-function getHashSum(content: string) {
-  return crypto.createHash("sha256").update(content).digest('hex')
+function getRevisionHashAlgorithm(revision): string {
+  return revision.hash_algorithm ?? DEFAULT_HASH_ALGORITHM
 }
 
-const getFileHashSum = (filename) => {
+function getHashSum(
+  content: string | Buffer,
+  hashAlgorithm: string = DEFAULT_HASH_ALGORITHM,
+  hashAlgorithms: HashAlgorithms = {},
+) {
+  const hashFunction = findHashFunction(hashAlgorithm, hashAlgorithms)
+  if (!hashFunction) {
+    throw new Error(`Unsupported hash algorithm ${hashAlgorithm}`)
+  }
+  return hashFunction(content)
+}
+
+// Returns the hash function for the nodes of a MerkleTree.
+const getMerkleHashFunction = (hashAlgorithm: string, hashAlgorithms: HashAlgorithms = {}) => {
+  return (content: Buffer) => getHashSum(content, hashAlgorithm, hashAlgorithms)
+}
+
+// Revisions with this marker in their canonicalization field are serialized
+// with the JSON Canonicalization Scheme (RFC 8785) before hashing: scalar
+// revisions as a whole, merklized revisions per leaf. Older revisions are
+// serialized with JSON.stringify, which depends on the order of their keys,
+// and their leaves with string interpolation, which loses nested values.
+const JCS_CANONICALIZATION = "jcs"
+
+/**
+ * Returns the string that is hashed into the leaf of a claim of a merklized
+ * revision. Key and value are JCS-encoded, so that nested objects and arrays
+ * are fully covered and no two claims share the same encoding.
+ * @param   {Object} revision The revision data.
+ * @param   {string} key The claim.
+ * @returns {string} The leaf content.
+ */
+function getLeafContent(revision, key: string): string {
+  if (revision.canonicalization === JCS_CANONICALIZATION) {
+    return `${canonicalize(key)}:${canonicalize(revision[key])}`
+  }
+  return `${key}:${revision[key]}`
+}
+
+/**
+ * Returns the verification hash of a scalar revision.
+ * @param   {Object} revision The revision data, including the
+ *                            canonicalization field if any.
+ * @param   {HashAlgorithms} hashAlgorithms Additional hash algorithms.
+ * @returns {string} The 0x-prefixed verification hash.
+ * @throws  {Error} If the canonicalization or hash algorithm is not supported.
+ */
+function getScalarVerificationHash(revision, hashAlgorithms: HashAlgorithms = {}): string {
+  let serialized: string
+  if (revision.canonicalization === JCS_CANONICALIZATION) {
+    serialized = canonicalize(revision)
+  } else if (revision.canonicalization === undefined) {
+    serialized = JSON.stringify(revision)
+  } else {
+    throw new Error(`Unsupported canonicalization ${revision.canonicalization}`)
+  }
+  return "0x" + getHashSum(serialized, getRevisionHashAlgorithm(revision), hashAlgorithms)
+}
+
+const getFileHashSum = (filename, hashAlgorithm: string = DEFAULT_HASH_ALGORITHM) => {
   const content = fs.readFileSync(filename)
-  return getHashSum(content)
+  return getHashSum(content, hashAlgorithm)
 }
 
 
 
+let aquaSchemaValidator = null
+
+// The JSON Schema of the AQUA format is compiled on first use
+function getAquaSchemaValidator() {
+  if (aquaSchemaValidator === null) {
+    const schema = JSON.parse(
+      fs.readFileSync(new URL("./aqua.schema.json", import.meta.url), "utf8"),
+    )
+    aquaSchemaValidator = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(schema)
+  }
+  return aquaSchemaValidator
+}
+
+/**
+ * Validates an AQUA object against the JSON Schema of the AQUA format in
+ * aqua.schema.json.
+ * @param   {Object} aquaObject The AQUA object.
+ * @returns {string[]} The errors, each prefixed with the JSON pointer of the
+ *                     invalid value. Empty if the AQUA object is valid.
+ */
+function validateAquaObject(aquaObject): string[] {
+  const validate = getAquaSchemaValidator()
+  if (validate(aquaObject)) {
+    return []
+  }
+  return (
+    validate.errors
+      // The failing then branch is already reported by its own errors
+      .filter((error) => error.keyword !== "if")
+      .map((error) => {
+        let message = `${error.instancePath || "/"}: ${error.message}`
+        if (error.keyword === "enum") {
+          message += ` ${error.params.allowedValues.join(", ")}`
+        }
+        return message
+      })
+  )
+}
+
+/**
+ * Reads an AQUA file from disk.
+ * @param   {string} filename The path to the .json AQUA file.
+ * @returns {Promise<Object>} The parsed AQUA object.
+ * @throws  {Error} If the file does not exist or is not a valid AQUA file.
+ */
 async function readExportFile(filename) {
   if (!fs.existsSync(filename)) {
-    formatter.log_red(`ERROR: The file ${filename} does not exist.`)
-    process.exit(1)
+    throw new Error(`The file ${filename} does not exist.`)
   }
   const fileContent = fs.readFileSync(filename)
   if (!filename.endsWith(".json")) {
-    formatter.log_red("The file must have a .json extension")
-    process.exit(1)
+    throw new Error("The file must have a .json extension")
+  }
+  let offlineData
+  try {
+    offlineData = JSON.parse(fileContent)
+  } catch (e) {
+    throw new Error(`The file ${filename} is not valid JSON: ${e.message}`)
   }
-  const offlineData = JSON.parse(fileContent)
-  if (!("revisions" in offlineData)) {
-    formatter.log_red("The json file doesn't contain 'revisions' key.")
-    process.exit(1)
+  const errors = validateAquaObject(offlineData)
+  if (errors.length > 0) {
+    throw new Error(
+      `The file ${filename} is not a valid AQUA file:\n  ${errors.join("\n  ")}`,
+    )
   }
   return offlineData
 }
@@ -87,7 +257,12 @@ const getUnixPathFromAquaPath = (aquaPath: string) => {
  * @param   {string} verificationHash
  * @returns {boolean} Whether the merkle integrity is OK.
  */
-function verifyMerkleIntegrity(merkleBranch, merkleRoot: string) {
+function verifyMerkleIntegrity(
+  merkleBranch,
+  merkleRoot: string,
+  hashAlgorithm: string,
+  hashAlgorithms: HashAlgorithms,
+) {
   if (merkleBranch.length === 0) {
     return false
   }
@@ -124,7 +299,7 @@ function verifyMerkleIntegrity(merkleBranch, merkleRoot: string) {
   // }
 
   let witnessMerkleProofLeaves = merkleBranch
-  const tree = new MerkleTree(witnessMerkleProofLeaves, getHashSum, {
+  const tree = new MerkleTree(witnessMerkleProofLeaves, getMerkleHashFunction(hashAlgorithm, hashAlgorithms), {
     duplicateOdd: false,
   })
   const hexRoot = tree.getHexRoot()
@@ -153,12 +328,18 @@ function verifyMerkleIntegrity(merkleBranch, merkleRoot: string) {
  * @param   {int} witness_event_id
  * @param   {string} verificationHash
  * @param   {boolean} doVerifyMerkleProof Flag for do Verify Merkle Proof.
+ * @param   {string} hashAlgorithm The hash algorithm of the witness revision.
+ * @param   {boolean} offline Don't access the network.
+ * @param   {HashAlgorithms} hashAlgorithms Additional hash algorithms.
  * @returns {Promise<string>} The verification log.
  */
 async function verifyWitness(
   witnessData,
   verification_hash: string,
   doVerifyMerkleProof: boolean,
+  hashAlgorithm: string,
+  offline: boolean = false,
+  hashAlgorithms: HashAlgorithms = {},
 ) {
   const result = {
     tx_hash: witnessData.witness_transaction_hash,
@@ -171,33 +352,45 @@ async function verifyWitness(
     merkle_proof_status: "",
   }
 
-  let isValid: boolean
-  if (witnessData.witness_network === "nostr") {
-    isValid = await witnessNostr.verify(
-      witnessData.witness_transaction_hash,
-      witnessData.witness_merkle_root,
-      witnessData.witness_timestamp,
-    )
-  } else if (witnessData.witness_network === "TSA_RFC3161") {
-    isValid = await witnessTsa.verify(
-      witnessData.witness_transaction_hash,
-      witnessData.witness_merkle_root,
-      witnessData.witness_timestamp,
-    )
-  } else {
-    // Verify the transaction hash via the Ethereum blockchain
-    const _result = await witnessEth.verify(
-      witnessData.witness_network,
-      witnessData.witness_transaction_hash,
-      witnessData.witness_merkle_root,
-      witnessData.witness_timestamp,
-    )
-    result.result = _result
+  // The merkle proof is still checked, as it doesn't need network access.
+  const unchecked =
+    offline && !OFFLINE_WITNESS_NETWORKS.includes(witnessData.witness_network)
+
+  let isValid: boolean = false
+  try {
+    if (unchecked) {
+      result.result = "UNCHECKED"
+    } else if (witnessData.witness_network === "nostr") {
+      isValid = await witnessNostr.verify(
+        witnessData.witness_transaction_hash,
+        witnessData.witness_merkle_root,
+        witnessData.witness_timestamp,
+      )
+    } else if (witnessData.witness_network === "TSA_RFC3161") {
+      isValid = await witnessTsa.verify(
+        witnessData.witness_transaction_hash,
+        witnessData.witness_merkle_root,
+        witnessData.witness_timestamp,
+      )
+    } else {
+      // Verify the transaction hash via the Ethereum blockchain
+      const _result = await witnessEth.verify(
+        witnessData.witness_network,
+        witnessData.witness_transaction_hash,
+        witnessData.witness_merkle_root,
+        witnessData.witness_timestamp,
+      )
+      result.result = _result
 
-    if (_result !== "true" && _result !== "false") {
-      result.error_message = _result
+      if (_result !== "true" && _result !== "false") {
+        result.error_message = _result
+      }
+      isValid = _result === "true"
     }
-    isValid = _result === "true"
+  } catch (e) {
+    // Network and decoding errors make the witness unverifiable, but must
+    // not abort the verification of the remaining revisions.
+    result.error_message = `${e}`
   }
   result.isValid = isValid
 
@@ -211,16 +404,143 @@ async function verifyWitness(
       // JSON.parse(witnessData.witness_merkle_proof),
       // verification_hash,
       witnessData.witness_merkle_proof,
-      witnessData.witness_merkle_root
+      witnessData.witness_merkle_root,
+      hashAlgorithm,
+      hashAlgorithms,
     )
     result.merkle_proof_status = merkleProofIsOK ? "VALID" : "INVALID"
     if (!merkleProofIsOK) {
       return ["INVALID", result]
     }
   }
+  if (unchecked) {
+    return ["UNCHECKED", result]
+  }
   return [isValid ? "VALID" : "INVALID", result]
 }
 
+// The EIP-712 domain of ethereum:eip-712 signatures. It has no chainId, so
+// that the signatures don't depend on the network of the wallet.
+const EIP712_DOMAIN = { name: "Aqua", version: "1" }
+
+// The struct of ethereum:eip-712 signatures, which wallets show to the signer
+const EIP712_TYPES = {
+  RevisionSignature: [
+    { name: "verificationHash", type: "string" },
+    { name: "fileName", type: "string" },
+    { name: "genesisHash", type: "string" },
+    { name: "purpose", type: "string" },
+  ],
+}
+
+/**
+ * Returns the EIP-712 typed data signed by an ethereum:eip-712 signature, in
+ * the form of eth_signTypedData_v4.
+ * @param   {string} verificationHash The signed revision.
+ * @param   {Object} data The signature_file_name, signature_genesis_hash
+ *                        and signature_purpose of the signature revision.
+ * @returns {Object} The domain, types, primaryType and message.
+ */
+function getEIP712TypedData(verificationHash: string, data) {
+  return {
+    domain: EIP712_DOMAIN,
+    types: EIP712_TYPES,
+    primaryType: "RevisionSignature",
+    message: {
+      verificationHash,
+      fileName: data.signature_file_name,
+      genesisHash: data.signature_genesis_hash,
+      purpose: data.signature_purpose,
+    },
+  }
+}
+
+/**
+ * Returns the genesis revision of the chain of a revision.
+ * @param   {Object} aquaObject The AQUA object containing the revision.
+ * @param   {string} verificationHash
+ * @returns {string} The verification hash of the genesis revision.
+ */
+function getGenesisHash(aquaObject, verificationHash: string): string {
+  let current = verificationHash
+  const visited = new Set()
+  while (aquaObject.revisions[current]?.previous_verification_hash && !visited.has(current)) {
+    visited.add(current)
+    current = aquaObject.revisions[current].previous_verification_hash
+  }
+  return current
+}
+
+/**
+ * Returns the time of the earliest witness after a revision, which proves
+ * that the revision existed by then. Only the witnesses that are verified
+ * together with the revision count, i.e. none after the target revision.
+ * @param   {Object} aquaObject The AQUA object containing the revisions.
+ * @param   {string} verificationHash The witnessed revision.
+ * @param   {string} targetHash The last revision that is verified, if not
+ *                              all of them are.
+ * @returns {Date | null} The time of the witness, or null if the revision
+ *                        isn't witnessed.
+ */
+function getWitnessTime(aquaObject, verificationHash: string, targetHash?: string): Date | null {
+  let verificationHashes = Object.keys(aquaObject.revisions)
+  if (targetHash !== undefined) {
+    const path = new Set<string>()
+    for (let vh = targetHash; vh && !path.has(vh); vh = aquaObject.revisions[vh]?.previous_verification_hash) {
+      path.add(vh)
+    }
+    verificationHashes = verificationHashes.filter((vh) => path.has(vh))
+  }
+  // The revisions come after their previous revision, as ensured by
+  // verifyChainStructure
+  const descendants = new Set([verificationHash])
+  let witnessTimestamp: number | null = null
+  for (const vh of verificationHashes) {
+    const revision = aquaObject.revisions[vh]
+    if (!descendants.has(revision.previous_verification_hash)) {
+      continue
+    }
+    if (revision.revision_type === "witness" && Number.isInteger(revision.witness_timestamp)) {
+      witnessTimestamp = Math.min(witnessTimestamp ?? Infinity, revision.witness_timestamp)
+    } else {
+      descendants.add(vh)
+    }
+  }
+  return witnessTimestamp === null ? null : new Date(witnessTimestamp * 1000)
+}
+
+// The public key has to belong to the declared signer, otherwise a
+// signature could present a public key of someone else.
+function signaturePublicKeyMatches(data): boolean {
+  switch (data.signature_type) {
+    case "did:key":
+      return data.signature_public_key === data.signature_wallet_address
+    case "ethereum:eip-191":
+    case "ethereum:eip-712":
+      try {
+        return (
+          ethers.computeAddress(data.signature_public_key).toLowerCase() ===
+          data.signature_wallet_address.toLowerCase()
+        )
+      } catch (e) {
+        return false
+      }
+    case "x509:cms":
+      try {
+        return x509.getSubject(Buffer.from(data.signature_public_key, "base64")) === data.signature_wallet_address
+      } catch (e) {
+        return false
+      }
+    case "ssh:sshsig":
+      try {
+        return ssh.getFingerprint(ssh.parsePublicKeyLine(data.signature_public_key)) === data.signature_wallet_address
+      } catch (e) {
+        return false
+      }
+  }
+  return false
+}
+
 const verifySignature = async (data: object, verificationHash: string) => {
 
   // TODO enforce that the verificationHash is a correct SHA3 sum string
@@ -252,13 +572,58 @@ const verifySignature = async (data: object, verificationHash: string) => {
         // continue regardless of error
       }
       break
+    case "ethereum:eip-712":
+      try {
+        const { domain, types, message } = getEIP712TypedData(verificationHash, data)
+        const recoveredAddress = ethers.verifyTypedData(domain, types, message, data.signature)
+        signatureOk =
+          recoveredAddress.toLowerCase() ===
+          data.signature_wallet_address.toLowerCase()
+      } catch (e) {
+        // Missing fields of the struct make the signature invalid
+      }
+      break
+    case "x509:cms":
+      signatureOk = await x509.signature.verify(data.signature, data.signature_public_key, verificationHash)
+      break
+    case "ssh:sshsig":
+      signatureOk = await ssh.signature.verify(data.signature, data.signature_public_key, verificationHash)
+      break
   }
 
   const status = signatureOk ? "VALID" : "INVALID"
   return [signatureOk, status]
 }
 
-function verifyRevisionMerkleTreeStructure(input, result: VerificationResult, verificationHash: string) {
+// A witness of the heads of several chains at once lists all of them in
+// witness_merkle_proof
+function isAggregatedWitness(input): boolean {
+  return (
+    input.revision_type === "witness" &&
+    Array.isArray(input.witness_merkle_proof) &&
+    input.witness_merkle_proof.length > 1
+  )
+}
+
+// The witnessed merkle root has to be the root of the listed heads, one of
+// which is the previous revision
+function verifyAggregatedWitness(input, hashAlgorithms: HashAlgorithms): boolean {
+  const hashFunction = getMerkleHashFunction(getRevisionHashAlgorithm(input), hashAlgorithms)
+  const tree = new MerkleTree(input.witness_merkle_proof, hashFunction, {
+    duplicateOdd: false,
+  })
+  return (
+    tree.getHexRoot() === input.witness_merkle_root &&
+    input.witness_merkle_proof.includes(input.previous_verification_hash)
+  )
+}
+
+function verifyRevisionMerkleTreeStructure(
+  input,
+  result: VerificationResult,
+  verificationHash: string,
+  hashAlgorithms: HashAlgorithms,
+) {
   let ok: boolean = true
   let vhOk: boolean = true
 
@@ -271,44 +636,48 @@ function verifyRevisionMerkleTreeStructure(input, result: VerificationResult, ve
     form: [],
   }[input.revision_type]
 
+  if (mandatory === undefined) {
+    result.error_message = `unknown revision type ${input.revision_type}`
+    return [false, result]
+  }
+
   const mandatoryClaims = ["previous_verification_hash", "local_timestamp", ...mandatory]
 
   for (const claim of mandatoryClaims) {
     if (!(claim in input)) {
-      return [false, { error_message: `mandatory field ${claim} is not present` }]
+      result.error_message = `mandatory field ${claim} is not present`
+      return [false, result]
     }
   }
 
+  const hashAlgorithm = getRevisionHashAlgorithm(input)
+  const hashFunction = getMerkleHashFunction(hashAlgorithm, hashAlgorithms)
 
+  // The leaves are stored next to the claims, but are not a claim themselves.
   const leaves = input.leaves
-  delete input.leaves
-  const actualLeaves = []
-  let fieldsWithPartialVerification: string[] = []
-  let fieldsWithVerification: string[] = []
+  const claims = Object.keys(input).filter((key) => key !== "leaves").sort()
 
   // For witness, we verify the merkle root
   if (input.revision_type == 'form') {
-    vhOk = verifyFormRevision(input, leaves);
-  } else if (input.revision_type === "witness" && input.witness_merkle_proof.length > 1) {
-    let witnessMerkleProofLeaves = input.witness_merkle_proof;
-    const tree = new MerkleTree(witnessMerkleProofLeaves, getHashSum, {
+    const [formOk, formResult] = verifyFormRevision(input, leaves, hashAlgorithms)
+    result.form_result = formResult
+    ok = formOk
+
+    // Deleted fields are still covered by their leaf
+    const tree = new MerkleTree(leaves, hashFunction, {
       duplicateOdd: false,
     });
-    const hexRoot = tree.getHexRoot();
-    vhOk = hexRoot === input.witness_merkle_root;
+    vhOk = tree.getHexRoot() === verificationHash;
   } else {
-    let leaves = input.leaves;
     // Verify leaves
-    for (const [i, claim] of Object.keys(input).sort().entries()) {
-      const actual = getHashSum(`${claim}:${input[claim]}`);
+    for (const [i, claim] of claims.entries()) {
+      const actual = getHashSum(getLeafContent(input, claim), hashAlgorithm, hashAlgorithms);
       const claimOk = leaves[i] === actual;
-      result.status[claim] = claimOk;
       ok = ok && claimOk;
-      actualLeaves.push(actual);
     }
 
     // Verify verification hash
-    const tree = new MerkleTree(leaves, getHashSum, {
+    const tree = new MerkleTree(leaves, hashFunction, {
       duplicateOdd: false,
     });
 
@@ -322,64 +691,217 @@ function verifyRevisionMerkleTreeStructure(input, result: VerificationResult, ve
 }
 
 
-interface Status {
+export interface Status {
   verification: string;
-  type_ok: boolean;
+  // "valid", "invalid" or "unchecked" for witnesses that were not checked
+  // because of offline verification and links that were not followed
+  type_ok: string;
 }
 
-interface WitnessResult {
+export interface WitnessResult {
   [key: string]: any
 }
 
+export interface FormResult {
+  // Names of the forms_ fields whose leaf matches
+  verified: string[];
+  // Names of the fields whose leaf does not match
+  failed: string[];
+  // Names of the fields that were deleted and hence can't be verified
+  unverifiable: string[];
+}
+
 interface Input {
   revision_type: string;
 }
 
-interface VerificationResult {
+export interface VerificationResult {
   scalar: boolean;
   verification_hash: string;
   status: Status;
   witness_result: WitnessResult;
+  form_result: FormResult | null;
   file_hash: string;
   data: Input;
   revision_type: string;
+  elapsed: number;
+  error_message: string | null;
+  // The results of the linked chains of a link revision
+  link_results: LinkVerificationResult[] | null;
+  // Whether the outcome was taken from the verification cache
+  cached: boolean;
+  // Unix time in seconds of the verification, which is earlier than the
+  // current verification for cached outcomes
+  checked_at: number | null;
+  // Whether the signer of a valid signature is in the keyring
+  signer_trust: SignerTrust | null;
 }
 
-function verifyFormRevision(input: any, leaves: any) {
-  let contains_deleted_fields = false;
-  let fieldsWithVerification = [];
-  let fieldsWithPartialVerification = [];
-  let ok = true;
+export interface SignerTrust {
+  // "trusted", "unknown", "expired" or "not_yet_valid", the latter two if
+  // the signature was made outside of the validity period of the signer
+  status: string;
+  // The name of the signer in the keyring
+  label: string | null;
+}
 
-  Object.keys(input).sort().forEach((field, i: number) => {
-    let new_hash = getHashSum(`${field}:${input[field]}`);
+// A trust store of known signers
+export interface Keyring {
+  // Looks up a wallet address or DID at a Unix time in seconds
+  lookup(identity: string, time: number): SignerTrust;
+}
 
-    if (!field.endsWith('.deleted')) {
-      if (field.startsWith('forms_')) {
-        if (new_hash !== leaves[i]) {
-          ok = false;
-          fieldsWithVerification.push(`🚫 ${field}: ${input[field]}`);
-        } else {
-          fieldsWithVerification.push(`✅ ${field}: ${input[field]}`);
-        }
-      }
-    } else {
-      contains_deleted_fields = true;
-      fieldsWithPartialVerification.push(field);
+export interface BranchVerificationResult {
+  // The verification hash of the last revision of the branch
+  latest_verification_hash: string;
+  // The verification hashes from the genesis to the last revision
+  verification_hashes: string[];
+  status: string;
+  error_message: string | null;
+}
+
+export interface LinkVerificationResult {
+  // The linked verification hash
+  verification_hash: string;
+  // The file_index entry of the linked verification hash
+  file_name: string;
+  // The status of the linked chain up to the linked verification hash, or
+  // NOT_FOLLOWED
+  status: string;
+  error_message: string | null;
+  // The verification result of the linked chain, which contains the results
+  // of its own links
+  result: AquaVerificationResult | null;
+  aqua_object: any;
+}
+
+export interface AquaVerificationResult {
+  // VERIFIED, LOCALLY_VERIFIED, INVALID, ERROR or NORECORD
+  status: string;
+  verification_hashes: string[];
+  // The results of the processed revisions, in chain order. Verification of
+  // a branch stops at its first revision that fails.
+  revisions: VerificationResult[];
+  // One entry per path from the genesis to a leaf of the revision tree
+  branches: BranchVerificationResult[];
+  elapsed: number;
+  error_message: string | null;
+}
+
+export interface VerificationOptions {
+  // Whether to verify the witness merkle proof of witness revisions
+  doVerifyMerkleProof?: boolean;
+  // Only verify the path from the genesis to this revision instead of every
+  // branch
+  targetHash?: string;
+  // Returns the content of the file of a file revision, whose file_hash and
+  // hash_algorithm identify the content. Defaults to reading the file_index
+  // entry from disk. Throws if the content is unavailable.
+  readFileContent?: (fileName: string, verificationHash: string, revision: any) => Promise<Buffer> | Buffer;
+  // Returns the AQUA object of a linked chain. Defaults to reading
+  // <fileName>.aqua.json from disk.
+  loadLinkedAquaObject?: (fileName: string, verificationHash: string) => Promise<any>;
+  // Don't access the network. Witnesses that can't be checked locally are
+  // marked as unchecked instead of being verified.
+  offline?: boolean;
+  // Stores the outcomes of verified revisions, so that later verifications
+  // only process new revisions
+  cache?: VerificationCache;
+  // Ignore the cached outcomes and verify every revision again. The new
+  // outcomes are still stored in the cache.
+  recheck?: boolean;
+  // Cached witness outcomes older than this many seconds are checked again.
+  // Defaults to one day.
+  witnessCacheTTL?: number;
+  // Maximum number of witness lookups and linked chain loads that run at the
+  // same time. Defaults to 4.
+  concurrency?: number;
+  // How many levels of links are followed. Links beyond it are reported as
+  // NOT_FOLLOWED. Defaults to following every link.
+  maxLinkDepth?: number;
+  // Labels the signers of valid signatures as trusted, unknown or expired
+  keyring?: Keyring;
+  // The directory of the trusted CA certificates of x509:cms signatures.
+  // Defaults to ~/.config/aqua-verifier/trust-anchors.
+  trustAnchorDir?: string;
+  // The allowed signers file of ssh:sshsig signatures, in the format of
+  // ssh-keygen. Defaults to ~/.config/aqua-verifier/allowed_signers.
+  allowedSignersFile?: string;
+  // Hash algorithms in addition to sha256, sha3-512, blake2b-512 and blake3
+  hashAlgorithms?: HashAlgorithms;
+}
+
+// The state shared by the verification of a chain and its linked chains
+interface LinkContext {
+  // The linked verification hashes that are being verified, from the links
+  // of the top-level chain down to the current chain, to detect link cycles
+  ancestors: string[];
+  // The results of the linked chains by linked verification hash, so that
+  // a chain linked several times is only verified once
+  links: Map<string, Promise<LinkVerificationResult>>;
+  // The linked verification hashes each linked chain waits for, to detect
+  // link cycles between chains that are verified concurrently
+  waits: Map<string, Set<string>>;
+}
+
+export interface VerificationCacheEntry {
+  status: Status;
+  witness_result: WitnessResult;
+  form_result: FormResult | null;
+  // Unix time in seconds of the verification
+  checked_at: number;
+}
+
+export interface VerificationCache {
+  get(key: string): VerificationCacheEntry | undefined;
+  set(key: string, entry: VerificationCacheEntry): void;
+}
+
+function verifyFormRevision(
+  input: any,
+  leaves: any,
+  hashAlgorithms: HashAlgorithms,
+): [boolean, FormResult] {
+  const formResult: FormResult = {
+    verified: [],
+    failed: [],
+    unverifiable: [],
+  }
+  let ok = true;
+  const hashAlgorithm = getRevisionHashAlgorithm(input)
+
+  // A deleted field is renamed to <field>.deleted, hence the leaves are in
+  // the order of the original field names.
+  const fields = Object.keys(input)
+    .filter((field) => field !== "leaves")
+    .map((field) => field.replace(/\.deleted$/, ""))
+    .sort()
+
+  fields.forEach((field, i: number) => {
+    if (!(field in input)) {
+      formResult.unverifiable.push(field);
+      return
+    }
+
+    let new_hash = getHashSum(getLeafContent(input, field), hashAlgorithm, hashAlgorithms);
+    if (new_hash !== leaves[i]) {
+      ok = false;
+      formResult.failed.push(field);
+    } else if (field.startsWith('forms_')) {
+      formResult.verified.push(field);
     }
   })
 
-  if (contains_deleted_fields) {
-    console.warn(`\n  🚨 Warning: The following fields cannot be verified:`);
-    fieldsWithPartialVerification.forEach((field, i: number) => console.log(`   ${i + 1}. ${field.replace('.deleted', '')}\n`));
-  }
+  return [ok, formResult]
 
-  console.log("\n  The following fields were verified: ");
-  fieldsWithVerification.forEach(field => console.log(`  ${field}`));
-  console.log("\n")
+}
 
-  return ok
+const defaultReadFileContent = (fileName: string) => {
+  return fs.readFileSync(fileName)
+}
 
+const defaultLoadLinkedAquaObject = (fileName: string) => {
+  return readExportFile(`${fileName}.aqua.json`)
 }
 
 /**
@@ -412,8 +934,11 @@ function verifyFormRevision(input: any, leaves: any) {
 async function verifyRevision(
   verificationHash: string,
   input,
-  doVerifyMerkleProof: boolean,
   aquaObject,
+  options: VerificationOptions,
+  context: LinkContext,
+  limit: Limiter,
+  witnessLookup?: Promise<[string, WitnessResult]>,
 ) {
   let ok: boolean = true
 
@@ -425,50 +950,91 @@ async function verifyRevision(
     verification_hash: verificationHash,
     status: {
       verification: INVALID_VERIFICATION_STATUS,
-      type_ok: false,
+      type_ok: "invalid",
     },
     witness_result: {},
+    form_result: null,
     file_hash: "",
     data: input,
     revision_type: input.revision_type,
+    elapsed: 0,
+    error_message: null,
+    link_results: null,
+    cached: false,
+    checked_at: Math.floor(Date.now() / 1000),
+    signer_trust: null,
+  }
+
+  const hashAlgorithm = getRevisionHashAlgorithm(input)
+  const hashAlgorithms = options.hashAlgorithms ?? {}
+  if (!findHashFunction(hashAlgorithm, hashAlgorithms)) {
+    result.error_message = `Unsupported hash algorithm ${hashAlgorithm}`
+    return [false, result]
+  }
+  if (
+    input.canonicalization !== undefined &&
+    input.canonicalization !== JCS_CANONICALIZATION
+  ) {
+    result.error_message = `Unsupported canonicalization ${input.canonicalization}`
+    return [false, result]
   }
 
   if (isScalar) {
 
     result.scalar = true
-
-    if (input.witness_merkle_proof && input.witness_merkle_proof.length > 1) {
-      [ok, result] = verifyRevisionMerkleTreeStructure(input, result, verificationHash)
-      if (!ok) {
-        return [ok, result]
-      }
-    } else {
-      const actualVH = "0x" + getHashSum(JSON.stringify(input))
-      ok = actualVH === verificationHash
+    const actualVH = getScalarVerificationHash(input, hashAlgorithms)
+    ok = actualVH === verificationHash
+    // The content of a revision that doesn't match its hash is not checked
+    // further, e.g. its links are not followed
+    if (!ok) {
+      result.error_message = "Verification hash does not match"
+      return [ok, result]
     }
   } else {
-    [ok, result] = verifyRevisionMerkleTreeStructure(input, result, verificationHash)
+    [ok, result] = verifyRevisionMerkleTreeStructure(input, result, verificationHash, hashAlgorithms)
     if (!ok) {
       return [ok, result]
     }
   }
 
+  if (ok && isAggregatedWitness(input) && !verifyAggregatedWitness(input, hashAlgorithms)) {
+    result.error_message = "The aggregated witness does not cover the previous revision"
+    ok = false
+  }
+
   let typeOk: boolean, _
+  let typeUnchecked = false
   switch (input.revision_type) {
     case "form":
-      typeOk = verifyFormRevision(input, input.leaves);
+      // The form fields have already been checked together with the leaves.
+      // A scalar form is fully covered by its verification hash.
+      typeOk = isScalar || result.form_result.failed.length === 0
       break
     case "file":
       let fileContent: Buffer
       if (!!input.content) {
         fileContent = Buffer.from(input.content, "utf8")
       } else {
-        // console.log("File index", JSON.stringify(aquaObject.file_index));
-        // console.log("Has needed  ", verificationHash);
-        fileContent = fs.readFileSync(aquaObject.file_index[verificationHash])
+        const fileName = aquaObject.file_index?.[verificationHash]
+        if (fileName === undefined) {
+          result.error_message = `Content unavailable: the file_index has no entry for ${verificationHash}`
+          typeOk = false
+          break
+        }
+        const readFileContent = options.readFileContent ?? defaultReadFileContent
+        try {
+          fileContent = await readFileContent(fileName, verificationHash, input)
+        } catch (e) {
+          result.error_message = `Content unavailable for ${fileName}: ${e.message}`
+          typeOk = false
+          break
+        }
       }
-      const fileHash = getHashSum(fileContent)
+      const fileHash = getHashSum(fileContent, hashAlgorithm, hashAlgorithms)
       typeOk = fileHash === input.file_hash
+      if (!typeOk) {
+        result.error_message = "File hash does not match"
+      }
       break
     case "signature":
       // Verify signature
@@ -476,42 +1042,288 @@ async function verifyRevision(
         input,
         input.previous_verification_hash,
       )
+      if (!typeOk) {
+        result.error_message = "Signature is invalid"
+      } else if (!signaturePublicKeyMatches(input)) {
+        typeOk = false
+        result.error_message = "Signature public key does not match the wallet address"
+      } else if (
+        input.signature_type === "ethereum:eip-712" &&
+        input.signature_genesis_hash !== getGenesisHash(aquaObject, input.previous_verification_hash)
+      ) {
+        // Otherwise the signer could have been shown another chain
+        typeOk = false
+        result.error_message = "The signed genesis hash is not the genesis revision of the chain"
+      } else if (input.signature_type === "x509:cms") {
+        // The signing time in the CMS is chosen by the signer
+        const chainError = await x509.verifyCertificateChain(
+          input.signature,
+          options.trustAnchorDir ?? x509.getDefaultTrustAnchorDir(),
+          getWitnessTime(aquaObject, verificationHash, options.targetHash) ?? new Date(),
+        )
+        if (chainError) {
+          typeOk = false
+          result.error_message = chainError
+        }
+      } else if (
+        input.signature_type === "ssh:sshsig" &&
+        getAllowedPrincipals(input, options).length === 0
+      ) {
+        typeOk = false
+        result.error_message = `The SSH key ${input.signature_wallet_address} is not an allowed signer of ${getAllowedSignersPath(options)} at the time of signing`
+      }
       break
     case "witness":
-      // Verify witness
-      const [witnessStatus, witnessResult] = await verifyWitness(
-        input,
-        input.previous_verification_hash,
-        doVerifyMerkleProof,
-      )
+      // Verify witness, unless it has been looked up ahead
+      const [witnessStatus, witnessResult] = await (witnessLookup ??
+        limit(() => lookupWitness(input, options)))
       result.witness_result = witnessResult
 
       // Specify witness correctness
-      typeOk = (witnessStatus === "VALID")
+      typeUnchecked = witnessStatus === "UNCHECKED"
+      typeOk = (witnessStatus === "VALID") || typeUnchecked
+      if (!typeOk) {
+        result.error_message = witnessResult.error_message || "Witness is invalid"
+      }
       break
     case "link":
-      let linkOk: boolean = true
-      for (const [idx, vh] of input.link_verification_hashes.entries()) {
-        // const fileUri = getUnixPathFromAquaPath(aquaObject.file_index[fileHash])
-        const fileUri = aquaObject.file_index[vh];
-        const aquaFileUri = `${fileUri}.aqua.json`
-        const linkAquaObject = await readExportFile(aquaFileUri)
-        let linkStatus: string
-        [linkStatus, _] = await verifyPage(linkAquaObject, false, doVerifyMerkleProof)
-        const expectedVH = input.link_verification_hashes[idx]
-        const linkVerificationHashes = Object.keys(linkAquaObject.revisions)
-        const actualVH = linkVerificationHashes[linkVerificationHashes.length - 1]
-        linkOk = linkOk && (linkStatus === VERIFIED_VERIFICATION_STATUS) && (expectedVH == actualVH)
+      // The linked chains are verified concurrently
+      const linkResults = await Promise.all(
+        input.link_verification_hashes.map((vh) =>
+          verifyLink(vh, aquaObject.file_index?.[vh], options, context, limit),
+        ),
+      )
+      result.link_results = linkResults
+      // Reported in the order of the links
+      const failedLink = linkResults.find(
+        (link) =>
+          !isVerifiedStatus(link.status) &&
+          link.status !== NOT_FOLLOWED_VERIFICATION_STATUS,
+      )
+      typeOk = failedLink === undefined
+      if (!typeOk) {
+        result.error_message = failedLink.error_message
       }
-      typeOk = linkOk
+      // The witnesses of the linked chains are pending as well
+      typeUnchecked = linkResults.some(
+        (link) =>
+          link.status === LOCALLY_VERIFIED_VERIFICATION_STATUS ||
+          link.status === NOT_FOLLOWED_VERIFICATION_STATUS,
+      )
       break
   }
-  result.status.type_ok = typeOk ? "valid" : "invalid"
+  result.status.type_ok = !typeOk ? "invalid" : typeUnchecked ? "unchecked" : "valid"
+  ok = ok && typeOk
   result.status.verification = ok ? VERIFIED_VERIFICATION_STATUS : INVALID_VERIFICATION_STATUS
 
   return [ok, result]
 }
 
+/**
+ * Verifies a linked chain from its genesis up to the linked revision. Later
+ * revisions of the linked chain don't affect the result.
+ * Steps:
+ * - Stops if the maximum link depth is reached.
+ * - Fails if the linked revision is already being verified, i.e. the links
+ *   form a cycle.
+ * - Loads the linked chain.
+ * - Fails if the linked revision is being verified by another link and waits
+ *   for one of the linked revisions that are being verified here, which is a
+ *   cycle as well.
+ * - Verifies the linked chain up to the linked revision, which fails if the
+ *   linked revision is not part of it. A chain linked several times is only
+ *   verified once.
+ * @param   {string} verificationHash The linked verification hash.
+ * @param   {string} fileName The file_index entry of the linked verification
+ *                            hash.
+ * @param   {VerificationOptions} options
+ * @param   {LinkContext} context The context of the linking chain.
+ * @param   {Limiter} limit
+ * @returns {Promise<LinkVerificationResult>} The result of the linked chain.
+ */
+async function verifyLink(
+  verificationHash: string,
+  fileName: string,
+  options: VerificationOptions,
+  context: LinkContext,
+  limit: Limiter,
+): Promise<LinkVerificationResult> {
+  const linkResult: LinkVerificationResult = {
+    verification_hash: verificationHash,
+    file_name: fileName,
+    status: INVALID_VERIFICATION_STATUS,
+    error_message: null,
+    result: null,
+    aqua_object: null,
+  }
+
+  if (
+    options.maxLinkDepth !== undefined &&
+    context.ancestors.length >= options.maxLinkDepth
+  ) {
+    linkResult.status = NOT_FOLLOWED_VERIFICATION_STATUS
+    linkResult.error_message = `Linked chain ${fileName} is beyond the maximum link depth of ${options.maxLinkDepth}`
+    return linkResult
+  }
+
+  const cycleMessage = `Link cycle detected: the linked revision ${verificationHash} of ${fileName} is already being verified`
+  if (context.ancestors.includes(verificationHash)) {
+    linkResult.error_message = cycleMessage
+    return linkResult
+  }
+
+  const loadLinkedAquaObject = options.loadLinkedAquaObject ?? defaultLoadLinkedAquaObject
+  try {
+    linkResult.aqua_object = await limit(async () =>
+      loadLinkedAquaObject(fileName, verificationHash),
+    )
+  } catch (e) {
+    linkResult.error_message = `Unable to load the linked chain ${fileName}: ${e.message}`
+    return linkResult
+  }
+  if (!linkResult.aqua_object || typeof linkResult.aqua_object.revisions !== "object") {
+    linkResult.error_message = `The linked chain ${fileName} doesn't contain 'revisions' key.`
+    return linkResult
+  }
+
+  // Checked and recorded without awaiting in between, so that two chains
+  // can't start waiting for each other at the same time
+  if (waitsForAncestor(verificationHash, context)) {
+    linkResult.error_message = cycleMessage
+    return linkResult
+  }
+  const waiting = context.ancestors[context.ancestors.length - 1]
+  if (waiting !== undefined) {
+    if (!context.waits.has(waiting)) {
+      context.waits.set(waiting, new Set())
+    }
+    context.waits.get(waiting).add(verificationHash)
+  }
+
+  if (!context.links.has(verificationHash)) {
+    context.links.set(
+      verificationHash,
+      verifyAquaObjectInContext(
+        linkResult.aqua_object,
+        { ...options, targetHash: verificationHash },
+        { ...context, ancestors: [...context.ancestors, verificationHash] },
+        limit,
+      ).then((result) => ({
+        ...linkResult,
+        status: result.status,
+        error_message: isVerifiedStatus(result.status)
+          ? null
+          : `Linked chain ${fileName} failed verification: ${result.error_message}`,
+        result,
+      })),
+    )
+  }
+  return context.links.get(verificationHash)
+}
+
+/**
+ * Checks whether a linked revision waits for one of the linked revisions that
+ * are being verified in the context, directly or through other linked
+ * revisions. A linked chain is only verified after the chains it waits for,
+ * so that a verified chain never leads back to a pending one.
+ * @param   {string} verificationHash The linked verification hash.
+ * @param   {LinkContext} context The context of the linking chain.
+ * @returns {boolean} Whether waiting for the linked revision would never end.
+ */
+function waitsForAncestor(verificationHash: string, context: LinkContext): boolean {
+  const visited = new Set<string>()
+  const pending = [verificationHash]
+  while (pending.length > 0) {
+    const vh = pending.pop()
+    if (context.ancestors.includes(vh)) {
+      return true
+    }
+    if (!visited.has(vh)) {
+      visited.add(vh)
+      pending.push(...(context.waits.get(vh) ?? []))
+    }
+  }
+  return false
+}
+
+/**
+ * Verifies that the revisions form a single hash chain before any revision is
+ * verified.
+ * Steps:
+ * - Ensures that every revision has a previous_verification_hash.
+ * - Ensures that there is exactly one genesis revision, i.e. one revision
+ *   with an empty previous_verification_hash.
+ * - Ensures that every previous_verification_hash points at a revision of
+ *   the chain.
+ * - Ensures that no revision is part of a cycle, which together with the
+ *   previous steps means that every revision is reachable from the genesis.
+ * - Ensures that every revision comes after its previous revision, so that
+ *   a revision is only verified once its previous revision is verified.
+ * @param   {Object} revisions The revisions of the AQUA object.
+ * @returns {string | null} The error message naming the revision that breaks
+ *                          the chain, or null if the chain is intact.
+ */
+function verifyChainStructure(revisions): string | null {
+  const verificationHashes = Object.keys(revisions)
+  const position = new Map(verificationHashes.map((vh, idx) => [vh, idx]))
+
+  for (const vh of verificationHashes) {
+    if (typeof revisions[vh]?.previous_verification_hash !== "string") {
+      return `Revision ${vh} has no previous_verification_hash`
+    }
+  }
+
+  const genesisHashes = verificationHashes.filter(
+    (vh) => revisions[vh].previous_verification_hash === "",
+  )
+  if (genesisHashes.length === 0) {
+    return "Detached chain, the genesis revision is missing"
+  }
+  if (genesisHashes.length > 1) {
+    return `Revision ${genesisHashes[1]} is a second genesis revision next to ${genesisHashes[0]}`
+  }
+
+  for (const vh of verificationHashes) {
+    const previous = revisions[vh].previous_verification_hash
+    if (previous !== "" && !position.has(previous)) {
+      return `Revision ${vh} points at the previous revision ${previous}, which is not part of the chain`
+    }
+  }
+
+  // Walk from every revision towards the genesis. Revisions that are known to
+  // lead to the genesis are not walked twice.
+  const reachesGenesis = new Set<string>()
+  for (const vh of verificationHashes) {
+    const path = new Set<string>()
+    let current = vh
+    while (current !== "" && !reachesGenesis.has(current)) {
+      if (path.has(current)) {
+        return `Revision ${current} is part of a cycle and is not reachable from the genesis revision`
+      }
+      path.add(current)
+      current = revisions[current].previous_verification_hash
+    }
+    path.forEach((hash) => reachesGenesis.add(hash))
+  }
+
+  for (const vh of verificationHashes) {
+    const previous = revisions[vh].previous_verification_hash
+    if (previous !== "" && position.get(previous) > position.get(vh)) {
+      return `Revision ${vh} comes before its previous revision ${previous}`
+    }
+  }
+
+  return null
+}
+
+// Whether the status of a chain means that every local check passed.
+function isVerifiedStatus(status: string): boolean {
+  return (
+    status === VERIFIED_VERIFICATION_STATUS ||
+    status === LOCALLY_VERIFIED_VERIFICATION_STATUS
+  )
+}
+
 function calculateStatus(count: number, totalLength: number) {
   if (count == totalLength) {
     if (count === 0) {
@@ -524,136 +1336,603 @@ function calculateStatus(count: number, totalLength: number) {
   }
 }
 
+// Runs at most a given number of tasks at the same time.
+type Limiter = <T>(task: () => Promise<T>) => Promise<T>
+
+const DEFAULT_CONCURRENCY = 4
+
+function createLimiter(concurrency: number = DEFAULT_CONCURRENCY): Limiter {
+  let active = 0
+  const queue: (() => void)[] = []
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return
+    }
+    active += 1
+    queue.shift()()
+  }
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push(() => {
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            active -= 1
+            next()
+          })
+      })
+      next()
+    })
+}
+
+// Verifies the witness of a witness revision, which may access the network
+function lookupWitness(input, options: VerificationOptions): Promise<[string, WitnessResult]> {
+  return verifyWitness(
+    input,
+    input.previous_verification_hash,
+    options.doVerifyMerkleProof,
+    getRevisionHashAlgorithm(input),
+    options.offline,
+    options.hashAlgorithms,
+  )
+}
+
+async function verifyRevisionTimed(
+  vh: string,
+  aquaObject,
+  options: VerificationOptions,
+  context: LinkContext,
+  limit: Limiter,
+  witnessLookup?: Promise<[string, WitnessResult]>,
+): Promise<[boolean, VerificationResult]> {
+  const elapsedStart = hrtime()
+
+  let isCorrect, detail
+  try {
+    const cachedResult = getCachedResult(vh, aquaObject.revisions[vh], options)
+    if (cachedResult !== null) {
+      ;[isCorrect, detail] = [true, cachedResult]
+    } else {
+      ;[isCorrect, detail] = await verifyRevision(
+        vh,
+        aquaObject.revisions[vh],
+        aquaObject,
+        options,
+        context,
+        limit,
+        witnessLookup,
+      )
+      cacheResult(vh, aquaObject.revisions[vh], detail, options)
+    }
+    // Not cached, as the keyring may have changed since
+    detail.signer_trust = getSignerTrust(detail, options)
+  } catch (e) {
+    // Malformed revisions must result in an error instead of an exception.
+    isCorrect = false
+    detail = errorResult(vh, aquaObject.revisions[vh], `${e}`)
+    detail.status.verification = ERROR_VERIFICATION_STATUS
+  }
+  detail.elapsed = Number(getElapsedTime(elapsedStart))
+  return [isCorrect, detail]
+}
+
+function getAllowedSignersPath(options: VerificationOptions): string {
+  return options.allowedSignersFile ?? ssh.getDefaultAllowedSignersPath()
+}
+
+// Returns the principals of the allowed signers of an SSH signature at the
+// time of signing
+function getAllowedPrincipals(input, options: VerificationOptions): string[] {
+  return ssh.findPrincipals(
+    ssh.readAllowedSigners(getAllowedSignersPath(options)),
+    input.signature_public_key,
+    parseLocalTimestamp(input.local_timestamp),
+  )
+}
+
+// Looks up the signer of a valid signature at the time of signing
+function getSignerTrust(
+  detail: VerificationResult,
+  options: VerificationOptions,
+): SignerTrust | null {
+  if (detail.revision_type !== "signature" || detail.status.type_ok !== "valid") {
+    return null
+  }
+  if (!options.keyring) {
+    return null
+  }
+  // X.509 signers are identified by their certificate rather than by their
+  // subject, which any CA can issue a certificate for
+  const identity =
+    detail.data.signature_type === "x509:cms"
+      ? x509.getFingerprint(Buffer.from(detail.data.signature_public_key, "base64"))
+      : detail.data.signature_wallet_address
+  return options.keyring.lookup(identity, parseLocalTimestamp(detail.data.local_timestamp))
+}
+
 /**
- * TODO THIS DOCSTRING IS OUTDATED!
- * Verifies all of the verified revisions of a page.
+ * Verifies the revisions of an AQUA object.
  * Steps:
- * - Loops through the revision IDs for the page.
- *   Calls function verifyRevision, if isCorrect flag is returned as true,
- *   yield true and the revision detail.
- * @param   {Array} verifiedRevIds Array of revision ids which have verification detail.
- * @param   {string} server The server URL for the API call.
- * @param   {boolean} verbose
- * @param   {boolean} doVerifyMerkleProof The flag for whether to do rigorous
- *                    verification of the merkle proof. TODO clarify this.
- * @param   {Object} token (Optional) The OAuth2 token required to make the API call.
+ * - Starts the witness lookups of the witness revisions, which run
+ *   concurrently, limited by options.concurrency.
+ * - Verifies the revisions one after another in chain order, the linked
+ *   chains of a link revision concurrently.
+ * - Yields the isCorrect flag together with the revision detail of every
+ *   revision in chain order.
+ * - Stops after the first revision that is not correct. The witness lookups
+ *   that haven't started yet are skipped.
+ * @param   {Array} verificationHashes The verification hashes to verify, in order.
+ * @param   {Object} aquaObject The AQUA object containing the revisions.
+ * @param   {VerificationOptions} options
+ * @param   {LinkContext} context The state shared with the verification of
+ *                                linked chains.
+ * @param   {Limiter} limit Limits the concurrent witness lookups and linked
+ *                          chain loads, shared with the verification of
+ *                          linked chains.
  * @returns {Generator} Generator for isCorrect boolean and detail object of
  *                      each revisions.
  */
-
-let seenRevisions = []
-
 async function* generateVerifyPage(
   verificationHashes,
   aquaObject,
-  verbose: boolean | undefined,
-  doVerifyMerkleProof: boolean,
+  options: VerificationOptions = {},
+  context: LinkContext = { ancestors: [], links: new Map(), waits: new Map() },
+  limit: Limiter = createLimiter(options.concurrency),
 ) {
-  VERBOSE = verbose
-
-  let elapsed
-  let totalElapsed = 0.0
+  // Only the witness lookups start ahead, the queued ones are skipped once a
+  // revision failed
+  let stopped = false
+  const witnessLookups = new Map()
   for (const vh of verificationHashes) {
+    const input = aquaObject.revisions[vh]
+    if (input?.revision_type !== "witness" || getCachedResult(vh, input, options) !== null) {
+      continue
+    }
+    const lookup = limit(() => (stopped ? null : lookupWitness(input, options)))
+    // Awaited when its revision is verified, not at all after a failure
+    lookup.catch(() => {})
+    witnessLookups.set(vh, lookup)
+  }
 
-    if (seenRevisions.length > 0) {
-      let exists = seenRevisions.find(item => item === vh);
-      if (exists !== undefined) {
-        yield (null, {})
+  try {
+    for (const vh of verificationHashes) {
+      const [isCorrect, detail] = await verifyRevisionTimed(
+        vh,
+        aquaObject,
+        options,
+        context,
+        limit,
+        witnessLookups.get(vh),
+      )
+      yield [isCorrect, detail]
+      if (!isCorrect) {
         return
       }
     }
+  } finally {
+    stopped = true
+  }
+}
 
-    seenRevisions.push(vh)
+function errorResult(verificationHash: string, input, errorMessage: string): VerificationResult {
+  return {
+    scalar: !input?.hasOwnProperty("leaves"),
+    verification_hash: verificationHash,
+    status: {
+      verification: INVALID_VERIFICATION_STATUS,
+      type_ok: "invalid",
+    },
+    witness_result: {},
+    form_result: null,
+    file_hash: "",
+    data: input,
+    revision_type: input?.revision_type,
+    elapsed: 0,
+    error_message: errorMessage,
+    link_results: null,
+    cached: false,
+    checked_at: Math.floor(Date.now() / 1000),
+    signer_trust: null,
+  }
+}
 
-    const elapsedStart = hrtime()
+/**
+ * Returns the key of a revision in the verification cache. The digest of the
+ * revision in its original key order makes sure that a modified revision is
+ * never taken from the cache.
+ * @param   {string} verificationHash The verification hash of the revision.
+ * @param   {Object} input The revision data.
+ * @returns {string} The cache key.
+ */
+function getRevisionCacheKey(verificationHash: string, input): string {
+  return `${verificationHash}:${getHashSum(JSON.stringify(input))}`
+}
 
-    const [isCorrect, detail] = await verifyRevision(
-      vh,
-      aquaObject.revisions[vh],
-      doVerifyMerkleProof,
-      aquaObject,
-    )
-    elapsed = getElapsedTime(elapsedStart)
-    detail.elapsed = elapsed
-    totalElapsed += elapsed
-    if (!isCorrect) {
-      yield [false, detail]
-      return
-    }
-    yield [true, detail]
+// File revisions without inline content and link revisions depend on files
+// outside of the chain, which can change at any time. Hence they are always
+// verified again.
+function isCacheable(input): boolean {
+  if (input?.revision_type === "link") {
+    return false
   }
+  // The trust anchors and the allowed signers can change as well
+  if (input?.signature_type === "x509:cms" || input?.signature_type === "ssh:sshsig") {
+    return false
+  }
+  if (input?.revision_type === "file") {
+    return !!input.content
+  }
+  return true
 }
 
-async function verifyPage(input, verbose, doVerifyMerkleProof) {
-  let verificationHashes
-  verificationHashes = Object.keys(input.revisions)
-  console.log("Page Verification Hashes: ", verificationHashes)
-  let verificationStatus
+const DEFAULT_WITNESS_CACHE_TTL = 24 * 60 * 60
 
-  // Secure feature to detect detached chain, missing genesis revision
-  const firstRevision =
-    input.revisions[verificationHashes[verificationHashes.length - 1]]
-  if (!firstRevision.previous_verification_hash === "") {
-    verificationStatus = INVALID_VERIFICATION_STATUS
-    console.log(`Status: ${verificationStatus}`)
-    return [verificationStatus, null]
+function getCachedResult(
+  verificationHash: string,
+  input,
+  options: VerificationOptions,
+): VerificationResult | null {
+  if (!options.cache || options.recheck || !isCacheable(input)) {
+    return null
+  }
+  const entry = options.cache.get(getRevisionCacheKey(verificationHash, input))
+  if (!entry) {
+    return null
+  }
+  if (input.revision_type === "witness") {
+    if (
+      Boolean(entry.witness_result.doVerifyMerkleProof) !==
+      Boolean(options.doVerifyMerkleProof)
+    ) {
+      return null
+    }
+    const age = Date.now() / 1000 - entry.checked_at
+    if (age > (options.witnessCacheTTL ?? DEFAULT_WITNESS_CACHE_TTL)) {
+      return null
+    }
+  }
+  return {
+    scalar: !input.hasOwnProperty("leaves"),
+    verification_hash: verificationHash,
+    status: { ...entry.status },
+    witness_result: entry.witness_result,
+    form_result: entry.form_result,
+    file_hash: "",
+    data: input,
+    revision_type: input.revision_type,
+    elapsed: 0,
+    error_message: null,
+    link_results: null,
+    cached: true,
+    checked_at: entry.checked_at,
+    signer_trust: null,
   }
+}
 
-  let count = 0
-  if (verificationHashes.length > 0) {
-    // Print out the verification hash of the first one.
-    console.log(`${count + 1}. Verification of Revision ${verificationHashes[0]}`)
+function cacheResult(
+  verificationHash: string,
+  input,
+  result: VerificationResult,
+  options: VerificationOptions,
+) {
+  // Failures and unchecked witnesses are verified again on the next run
+  if (
+    !options.cache ||
+    !isCacheable(input) ||
+    result.status.verification !== VERIFIED_VERIFICATION_STATUS ||
+    result.status.type_ok !== "valid"
+  ) {
+    return
   }
-  const details = {
+  options.cache.set(getRevisionCacheKey(verificationHash, input), {
+    status: { ...result.status },
+    witness_result: result.witness_result,
+    form_result: result.form_result,
+    checked_at: result.checked_at,
+  })
+}
+
+/**
+ * Returns the paths from the genesis to every leaf of the revision tree, or
+ * only the path to targetHash if it is specified.
+ */
+function getBranchPaths(aquaObject, targetHash?: string): string[][] | null {
+  const tree = createAquaObjectTree(aquaObject)
+  const { paths } = findHashWithLongestPath(tree)
+  if (!targetHash) {
+    return Object.values(paths)
+  }
+  const path = Object.values(paths).find((p) => p.includes(targetHash))
+  if (!path) {
+    return null
+  }
+  return [path.slice(0, path.indexOf(targetHash) + 1)]
+}
+
+async function verifyAquaObjectInContext(
+  aquaObject,
+  options: VerificationOptions,
+  context: LinkContext,
+  limit: Limiter,
+): Promise<AquaVerificationResult> {
+  const elapsedStart = hrtime()
+  const verificationHashes = Object.keys(aquaObject.revisions)
+  const result: AquaVerificationResult = {
+    status: INVALID_VERIFICATION_STATUS,
     verification_hashes: verificationHashes,
-    revision_details: [],
+    revisions: [],
+    branches: [],
+    elapsed: 0,
+    error_message: null,
   }
-  for await (const value of generateVerifyPage(
-    verificationHashes,
-    input,
-    verbose,
-    doVerifyMerkleProof,
-  )) {
-    const [isCorrect, detail] = value
 
-    if (isCorrect === null) {
-      // console.log("Exiting loop 1.")
-      process.exit(1)
+  if (verificationHashes.length === 0) {
+    result.status = calculateStatus(0, 0)
+    return result
+  }
+
+  // Secure feature to detect detached chains, spliced or reordered revisions
+  const structureErrorMessage = verifyChainStructure(aquaObject.revisions)
+  if (structureErrorMessage !== null) {
+    result.error_message = structureErrorMessage
+    result.elapsed = Number(getElapsedTime(elapsedStart))
+    return result
+  }
+
+  const paths = getBranchPaths(aquaObject, options.targetHash)
+  if (paths === null) {
+    result.error_message = `Revision ${options.targetHash} not found`
+    result.elapsed = Number(getElapsedTime(elapsedStart))
+    return result
+  }
+
+  // Branches share their revisions up to the fork, hence every revision is
+  // only verified once.
+  const verified = new Map<string, [boolean, VerificationResult]>()
+  for (const path of paths) {
+    const branch: BranchVerificationResult = {
+      latest_verification_hash: path[path.length - 1],
+      verification_hashes: path,
+      status: INVALID_VERIFICATION_STATUS,
+      error_message: null,
     }
+    result.branches.push(branch)
 
-    formatter.printRevisionInfo(detail, verbose)
-    details.revision_details.unshift(detail)
-    if (!isCorrect) {
-      verificationStatus = INVALID_VERIFICATION_STATUS
-      break
+    let count = 0
+    let failed: VerificationResult | null = null
+    for (const vh of path) {
+      if (!verified.has(vh)) {
+        break
+      }
+      const [isCorrect, detail] = verified.get(vh)
+      if (!isCorrect) {
+        failed = detail
+        break
+      }
+      count += 1
     }
-    count += 1
-    console.log(
-      `  Progress: ${count} / ${verificationHashes.length} (${(
-        (100 * count) /
-        verificationHashes.length
-      ).toFixed(1)}%)`,
+
+    if (failed === null && count < path.length) {
+      for await (const [isCorrect, detail] of generateVerifyPage(
+        path.slice(count),
+        aquaObject,
+        options,
+        context,
+        limit,
+      )) {
+        verified.set(detail.verification_hash, [isCorrect, detail])
+        if (!isCorrect) {
+          failed = detail
+          break
+        }
+        count += 1
+      }
+    }
+
+    branch.status = calculateStatus(count, path.length)
+    if (
+      branch.status === VERIFIED_VERIFICATION_STATUS &&
+      path.some((vh) => verified.get(vh)[1].status.type_ok === "unchecked")
+    ) {
+      branch.status = LOCALLY_VERIFIED_VERIFICATION_STATUS
+    }
+    if (failed !== null) {
+      if (failed.status.verification === ERROR_VERIFICATION_STATUS) {
+        branch.status = ERROR_VERIFICATION_STATUS
+      }
+      branch.error_message =
+        failed.error_message ?? `Revision ${failed.verification_hash} failed verification`
+    }
+  }
+
+  result.verification_hashes = verificationHashes.filter((vh) =>
+    paths.some((path) => path.includes(vh)),
+  )
+  result.revisions = result.verification_hashes
+    .filter((vh) => verified.has(vh))
+    .map((vh) => verified.get(vh)[1])
+
+  const failedBranch = result.branches.find((b) => !isVerifiedStatus(b.status))
+  if (failedBranch) {
+    result.status = result.branches.some(
+      (b) => b.status === ERROR_VERIFICATION_STATUS,
     )
-    if (count < verificationHashes.length) {
-      console.log(
-        `${count + 1}. Verification of Revision ${verificationHashes[count]}`,
-      )
+      ? ERROR_VERIFICATION_STATUS
+      : INVALID_VERIFICATION_STATUS
+    result.error_message = failedBranch.error_message
+  } else if (
+    result.branches.some((b) => b.status === LOCALLY_VERIFIED_VERIFICATION_STATUS)
+  ) {
+    result.status = LOCALLY_VERIFIED_VERIFICATION_STATUS
+  } else {
+    result.status = VERIFIED_VERIFICATION_STATUS
+  }
+  result.elapsed = Number(getElapsedTime(elapsedStart))
+  return result
+}
+
+/**
+ * Verifies an AQUA object.
+ * This function has no side effects: it never exits the process, never
+ * prints anything and keeps no state between calls. Malformed input results
+ * in an INVALID or ERROR status instead of an exception.
+ * @param   {Object} aquaObject The AQUA object, e.g. as read by readExportFile.
+ * @param   {VerificationOptions} options
+ * @returns {Promise<AquaVerificationResult>} The verification result.
+ */
+async function verifyAquaObject(
+  aquaObject,
+  options: VerificationOptions = {},
+): Promise<AquaVerificationResult> {
+  if (!aquaObject || typeof aquaObject.revisions !== "object") {
+    return {
+      status: ERROR_VERIFICATION_STATUS,
+      verification_hashes: [],
+      revisions: [],
+      branches: [],
+      elapsed: 0,
+      error_message: "The AQUA object doesn't contain 'revisions' key.",
     }
   }
-  verificationStatus = calculateStatus(count, verificationHashes.length)
-  console.log(`Status: ${verificationStatus}`)
-  return [verificationStatus, details]
+  return verifyAquaObjectInContext(
+    aquaObject,
+    options,
+    { ancestors: [], links: new Map(), waits: new Map() },
+    createLimiter(options.concurrency),
+  )
+}
+
+/**
+ * Verifies an AQUA object, or the hash chain of a page if the input contains
+ * 'server' and 'title', and prints the result. The Chrome extension passes
+ * the AQUA object as 'offline_data' of the input instead.
+ * Kept for backwards compatibility. Use verifyAquaObject or
+ * verifyAquaObjectFromMwAPI when using this package as a library.
+ * @returns {Promise<Array>} The verification status and the details, with the
+ *                           most recent revision first.
+ */
+async function verifyPage(input, verbose, doVerifyMerkleProof, token?: string) {
+  let result: AquaVerificationResult
+  if ("server" in input && "title" in input) {
+    result = (await verifyAquaObjectFromMwAPI(input.server, input.title, { doVerifyMerkleProof, token }))[1]
+  } else if ("offline_data" in input) {
+    result = await verifyAquaObject(input.offline_data, { doVerifyMerkleProof })
+  } else {
+    result = await verifyAquaObject(input, { doVerifyMerkleProof })
+  }
+  formatter.printVerificationResult(result, verbose)
+  const details = {
+    verification_hashes: result.verification_hashes,
+    revision_details: [...result.revisions].reverse(),
+  }
+  return [result.status, details]
 }
 
-async function getServerInfo(server) {
-  const url = `${server}/rest.php/data_accounting/get_server_info`
-  return fetch(url)
+function summarizeSignature(detail) {
+  const data = detail.data
+  return {
+    signature_type: data.signature_type,
+    signature_wallet_address: data.signature_wallet_address,
+    signature_public_key: data.signature_public_key,
+    signature: data.signature,
+    // Only for ethereum:eip-712 signatures
+    purpose: data.signature_purpose ?? null,
+    valid: detail.status.type_ok === "valid",
+    trust: detail.signer_trust?.status ?? null,
+    label: detail.signer_trust?.label ?? null,
+  }
 }
 
-async function checkAPIVersionCompatibility(server) {
-  const response = await getServerInfo(server)
+/**
+ * Converts the result of verifyAquaObject into a machine-readable report
+ * without the raw revision data.
+ * Revisions that were not reached because an earlier one failed are listed
+ * as SKIPPED.
+ * @param   {Object} aquaObject The verified AQUA object.
+ * @param   {AquaVerificationResult} result The result of verifyAquaObject.
+ * @returns {Object} The verification report.
+ */
+function generateVerificationReport(aquaObject, result: AquaVerificationResult) {
+  const detailMap = {}
+  for (const detail of result.revisions) {
+    detailMap[detail.verification_hash] = detail
+  }
+
+  const revisions = result.verification_hashes.map((vh) => {
+    const revision = aquaObject.revisions[vh]
+    const entry = {
+      verification_hash: vh,
+      revision_type: revision.revision_type,
+      previous_verification_hash: revision.previous_verification_hash,
+      local_timestamp: revision.local_timestamp,
+      mode: "leaves" in revision ? "merkle" : "scalar",
+      verification: "SKIPPED",
+      type_ok: false,
+      elapsed: null,
+      cached: false,
+      checked_at: null,
+      signature: null,
+      witness: null,
+      links: null,
+      form: null,
+      error_message: null,
+    }
+    const detail = detailMap[vh]
+    if (!detail) {
+      return entry
+    }
+    entry.verification = detail.status.verification
+    // Unknown for witnesses that were not checked
+    entry.type_ok =
+      detail.status.type_ok === "unchecked" ? null : detail.status.type_ok === "valid"
+    entry.elapsed = detail.elapsed
+    entry.cached = detail.cached
+    entry.checked_at = detail.checked_at
+    if (revision.revision_type === "signature") {
+      entry.signature = summarizeSignature(detail)
+    }
+    if (revision.revision_type === "witness") {
+      entry.witness = detail.witness_result
+    }
+    entry.form = detail.form_result
+    // The nested reports of the linked chains
+    entry.links = detail.link_results?.map((link) => ({
+      verification_hash: link.verification_hash,
+      file_name: link.file_name,
+      status: link.status,
+      error_message: link.error_message,
+      report: link.result
+        ? generateVerificationReport(link.aqua_object, link.result)
+        : null,
+    })) ?? null
+    entry.error_message = detail.error_message
+    return entry
+  })
+
+  return {
+    status: result.status,
+    revision_count: revisions.length,
+    verified_count: revisions.filter(
+      (r) => r.verification === VERIFIED_VERIFICATION_STATUS,
+    ).length,
+    unchecked_count: revisions.filter((r) => r.type_ok === null).length,
+    elapsed: result.elapsed,
+    error_message: result.error_message,
+    revisions,
+    branches: result.branches,
+  }
+}
+
+async function getServerInfo(server, token?: string) {
+  const url = `${formatter.getApiURL(server)}/get_server_info`
+  return formatter.fetchWithToken(url, token)
+}
+
+async function checkAPIVersionCompatibility(server, token?: string) {
+  const response = await getServerInfo(server, token)
   if (!response.ok) {
-    return [formatHTTPError(response), false, ""]
+    return [formatter.formatHTTPError(response), false, ""]
   }
   const data = await response.json()
   if (data && data.api_version) {
@@ -662,18 +1941,224 @@ async function checkAPIVersionCompatibility(server) {
   return ["API endpoint found, but API version can't be retrieved", false, ""]
 }
 
+async function doPreliminaryAPICall(endpointName, url, token) {
+  let response, errorMsg
+  try {
+    // We do a try block for our first ever fetch because the server might be
+    // down, and we get a connection refused error.
+    response = await formatter.fetchWithToken(url, token)
+  } catch (e) {
+    errorMsg = `${endpointName}: ` + e
+    return [ERROR_VERIFICATION_STATUS, { error: errorMsg }]
+  }
+  if (!response.ok) {
+    let status
+    if (response.status === 404) {
+      status = "404"
+    } else {
+      status = ERROR_VERIFICATION_STATUS
+    }
+    errorMsg = `${endpointName}: ` + formatter.formatHTTPError(response)
+    return [status, { error: errorMsg }]
+  }
+  const content = await response.json()
+  if ("error" in content) {
+    return [ERROR_VERIFICATION_STATUS, content]
+  }
+  return ["OK", content]
+}
+
+async function getHashChainInfo(apiURL, title, token) {
+  const hashChainUrl = `${apiURL}/get_hash_chain_info/title?identifier=${encodeURIComponent(title)}`
+  return doPreliminaryAPICall("get_hash_chain_info", hashChainUrl, token)
+}
+
+async function getRevisionHashes(apiURL, title, token) {
+  const [status, info] = await getHashChainInfo(apiURL, title, token)
+  if (status !== "OK") {
+    if (status === "404") {
+      // Simply return empty array when get_hash_chain_info is 404.
+      // Note: this means that the output when a page is hidden from the public
+      // is indistinguishable from when it simply doesn't have a verification
+      // data. We can't confirm nor deny of which is it.
+      return ["OK", []]
+    }
+    return [status, info]
+  }
+  return getChainRevisionHashes(apiURL, info.genesis_hash, token)
+}
+
+async function getChainRevisionHashes(apiURL, genesisHash, token) {
+  const revisionHashesUrl = `${apiURL}/get_revision_hashes/${genesisHash}`
+  const [statusHashes, hashes] = await doPreliminaryAPICall(
+    "get_revision_hashes",
+    revisionHashesUrl,
+    token
+  )
+  if (statusHashes === "404") {
+    // Same reasoning as the previous 404 handling.
+    return ["OK", []]
+  }
+  return [statusHashes, hashes]
+}
+
+/**
+ * Fetches the hash chain of a page from the data_accounting REST API of a
+ * PKC (MediaWiki) server as an AQUA object.
+ * Steps:
+ * - Looks up the genesis revision of the page with get_hash_chain_info.
+ * - Lists the verification hashes of the chain with get_revision_hashes.
+ * - Fetches every revision with get_revision.
+ * - Uses the file_index of get_hash_chain_info, if any, for the names of the
+ *   linked pages. The file and form revisions default to the page title.
+ * A page without verification data has no revisions.
+ * @param   {string} server The URL of the server, e.g. https://pkc.inblock.io
+ * @param   {string} title The page title.
+ * @param   {string} token The OAuth2 token required to make the API call or PKC must allow any request (LocalSettings.php).
+ * @returns {Promise<Array>} "OK" and the AQUA object, or the status and the
+ *                           error.
+ */
+async function fetchAquaObjectFromMwAPI(server, title, token?: string) {
+  const apiURL = formatter.getApiURL(server)
+  const [infoStatus, info] = await getHashChainInfo(apiURL, title, token)
+  if (infoStatus === "404") {
+    return ["OK", { revisions: {}, file_index: {} }]
+  }
+  if (infoStatus !== "OK") {
+    return [infoStatus, info]
+  }
+  const [status, hashes] = await getChainRevisionHashes(apiURL, info.genesis_hash, token)
+  if (status !== "OK") {
+    return [status, hashes]
+  }
+
+  const limit = createLimiter()
+  const responses = await Promise.all(
+    hashes.map((vh) =>
+      limit(() =>
+        doPreliminaryAPICall("get_revision", `${apiURL}/get_revision/${vh}`, token),
+      ),
+    ),
+  )
+  const aquaObject = { revisions: {}, file_index: {} }
+  for (const [idx, vh] of hashes.entries()) {
+    const [revisionStatus, revision] = responses[idx]
+    if (revisionStatus !== "OK") {
+      return [
+        ERROR_VERIFICATION_STATUS,
+        { error: revision.error ?? `get_revision: revision ${vh} not found` },
+      ]
+    }
+    aquaObject.revisions[vh] = revision
+    if (["file", "form"].includes(revision.revision_type)) {
+      aquaObject.file_index[vh] = title
+    }
+  }
+  Object.assign(aquaObject.file_index, info.file_index)
+  return ["OK", aquaObject]
+}
+
+export interface MwAPIVerificationOptions extends VerificationOptions {
+  // The OAuth2 bearer token of the API calls
+  token?: string;
+}
+
+/**
+ * Fetches the hash chain of a page from a PKC server and verifies it the
+ * same way as an AQUA file.
+ * - The server doesn't serve files, so the page content has to be part of
+ *   the file revisions, unless options.readFileContent is given, e.g. the one
+ *   of createContentResolver of content_resolver.js.
+ * - Linked chains are fetched from the same server by the title of the linked
+ *   page, unless options.loadLinkedAquaObject is given.
+ * @param   {string} server The URL of the server, e.g. https://pkc.inblock.io
+ * @param   {string} title The page title.
+ * @param   {MwAPIVerificationOptions} options
+ * @returns {Promise<Array>} The fetched AQUA object, or null if it couldn't
+ *                           be fetched, and the verification result.
+ */
+async function verifyAquaObjectFromMwAPI(
+  server,
+  title,
+  options: MwAPIVerificationOptions = {},
+): Promise<[any, AquaVerificationResult]> {
+  const errorResult = (errorMessage: string): AquaVerificationResult => ({
+    status: ERROR_VERIFICATION_STATUS,
+    verification_hashes: [],
+    revisions: [],
+    branches: [],
+    elapsed: 0,
+    error_message: errorMessage,
+  })
+
+  const [status, aquaObject] = await fetchAquaObjectFromMwAPI(server, title, options.token)
+  if (status !== "OK") {
+    return [null, errorResult(aquaObject.error)]
+  }
+  const errors = validateAquaObject(aquaObject)
+  if (errors.length > 0) {
+    return [
+      null,
+      errorResult(
+        `The hash chain of ${title} is not a valid AQUA chain:\n  ${errors.join("\n  ")}`,
+      ),
+    ]
+  }
+
+  const { token, ...verificationOptions } = options
+  const result = await verifyAquaObject(aquaObject, {
+    readFileContent: () => {
+      throw new Error("the server doesn't include the page content in the revision")
+    },
+    loadLinkedAquaObject: async (fileName) => {
+      if (fileName === undefined) {
+        throw new Error("the title of the linked page is unknown")
+      }
+      const [linkedStatus, linkedAquaObject] = await fetchAquaObjectFromMwAPI(
+        server,
+        fileName,
+        token,
+      )
+      if (linkedStatus !== "OK") {
+        throw new Error(linkedAquaObject.error)
+      }
+      return linkedAquaObject
+    },
+    ...verificationOptions,
+  })
+  return [aquaObject, result]
+}
+
 export {
+  verifyAquaObject,
   generateVerifyPage,
   verifyPage,
+  generateVerificationReport,
   apiVersion,
   // For verified_import.js
   ERROR_VERIFICATION_STATUS,
+  LOCALLY_VERIFIED_VERIFICATION_STATUS,
+  NOT_FOLLOWED_VERIFICATION_STATUS,
+  isVerifiedStatus,
   // For notarize.js
   dict2Leaves,
   getHashSum,
+  getScalarVerificationHash,
+  getLeafContent,
+  JCS_CANONICALIZATION,
+  getMerkleHashFunction,
+  getHashAlgorithmNames,
+  DEFAULT_HASH_ALGORITHM,
   getFileHashSum,
+  getEIP712TypedData,
+  getGenesisHash,
   // For the VerifyPage Chrome extension and CLI
   formatter,
   checkAPIVersionCompatibility,
+  getRevisionHashes,
+  fetchAquaObjectFromMwAPI,
+  verifyAquaObjectFromMwAPI,
   readExportFile,
+  validateAquaObject,
+  parseLocalTimestamp,
 }
@@ -0,0 +1,92 @@
+import * as fs from "fs"
+import * as os from "os"
+import * as path from "path"
+import { writeFileAtomic } from "./atomic_write.js"
+
+// The known signers are stored in a single JSON file in the per-user config
+// directory.
+export function getDefaultKeyringPath() {
+  const configHome =
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config")
+  return path.join(configHome, "aqua-verifier", "keyring.json")
+}
+
+const CERTIFICATE_FINGERPRINT = /^([0-9a-fA-F]{2}:){31}[0-9a-fA-F]{2}$/
+
+// Ethereum addresses and certificate fingerprints are compared
+// case-insensitively, DIDs and SSH key fingerprints as they are
+export function normalizeIdentity(identity) {
+  if (identity.startsWith("0x")) {
+    return identity.toLowerCase()
+  }
+  return CERTIFICATE_FINGERPRINT.test(identity) ? identity.toUpperCase() : identity
+}
+
+export function isValidIdentity(identity) {
+  return (
+    /^0x[0-9a-fA-F]{40}$/.test(identity) ||
+    /^did:key:z[1-9A-HJ-NP-Za-km-z]+$/.test(identity) ||
+    /^SHA256:[A-Za-z0-9+/]{43}$/.test(identity) ||
+    CERTIFICATE_FINGERPRINT.test(identity)
+  )
+}
+
+/**
+ * Opens the keyring stored in a JSON file, for use as the keyring option of
+ * verifyAquaObject.
+ * Every signer has an identity (a wallet address, a did:key, the
+ * fingerprint of an SSH key or the SHA-256 fingerprint of an X.509
+ * certificate), a label and an optional validity period given
+ * as ISO 8601 dates.
+ * @param   {string} filePath The keyring file. It is created by save if it
+ *                            doesn't exist.
+ * @returns {Object} The keyring with list, add, remove, lookup and save.
+ */
+export function openKeyring(filePath = getDefaultKeyringPath()) {
+  let signers = []
+  if (fs.existsSync(filePath)) {
+    try {
+      signers = JSON.parse(fs.readFileSync(filePath, "utf8")).signers ?? []
+    } catch (e) {
+      throw new Error(`The keyring ${filePath} is not valid JSON: ${e.message}`)
+    }
+  }
+  const find = (identity) =>
+    signers.find((signer) => normalizeIdentity(signer.identity) === normalizeIdentity(identity))
+
+  return {
+    list: () => [...signers],
+    // Adds a signer, or replaces the signer with the same identity
+    add: (signer) => {
+      signers = signers.filter((s) => s !== find(signer.identity))
+      signers.push({
+        identity: signer.identity,
+        label: signer.label,
+        valid_from: signer.valid_from ?? null,
+        valid_until: signer.valid_until ?? null,
+      })
+    },
+    // Returns whether the signer was in the keyring
+    remove: (identity) => {
+      const signer = find(identity)
+      signers = signers.filter((s) => s !== signer)
+      return signer !== undefined
+    },
+    lookup: (identity, time) => {
+      const signer = find(identity)
+      if (!signer) {
+        return { status: "unknown", label: null }
+      }
+      let status = "trusted"
+      if (signer.valid_from && time < Date.parse(signer.valid_from) / 1000) {
+        status = "not_yet_valid"
+      } else if (signer.valid_until && time > Date.parse(signer.valid_until) / 1000) {
+        status = "expired"
+      }
+      return { status, label: signer.label }
+    },
+    save: () => {
+      writeFileAtomic(filePath, JSON.stringify({ signers }, null, 2))
+    },
+  }
+}
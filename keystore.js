@@ -0,0 +1,194 @@
+import * as fs from "fs"
+import crypto from "crypto"
+import { Wallet } from "ethers"
+
+// The secrets other than the wallet, which is stored as an Ethereum keystore
+const SECRET_KEYS = ["did:key", "nostr_sk"]
+
+// The same scrypt parameters as the Ethereum keystores of ethers
+const SCRYPT_PARAMS = { n: 131072, r: 8, p: 1, dklen: 32 }
+
+const WRONG_PASSPHRASE = "The passphrase of the credentials is wrong"
+
+function deriveKey(passphrase, kdfparams) {
+  return crypto.scryptSync(passphrase, Buffer.from(kdfparams.salt, "hex"), kdfparams.dklen, {
+    N: kdfparams.n,
+    r: kdfparams.r,
+    p: kdfparams.p,
+    maxmem: 256 * 1024 * 1024,
+  })
+}
+
+// Encrypts the DID and Nostr secrets like an Ethereum keystore, with a key
+// derived by scrypt, but with AES-256-GCM, which authenticates the secrets.
+function encryptSecrets(secrets, passphrase) {
+  const kdfparams = { ...SCRYPT_PARAMS, salt: crypto.randomBytes(32).toString("hex") }
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, kdfparams), iv)
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(secrets), "utf8"),
+    cipher.final(),
+  ])
+  return {
+    version: 1,
+    kdf: "scrypt",
+    kdfparams,
+    cipher: "aes-256-gcm",
+    cipherparams: { iv: iv.toString("hex"), tag: cipher.getAuthTag().toString("hex") },
+    ciphertext: ciphertext.toString("hex"),
+  }
+}
+
+function decryptSecrets(container, passphrase) {
+  if (container.kdf !== "scrypt" || container.cipher !== "aes-256-gcm") {
+    throw new Error(`Unsupported encryption of the secrets: ${container.kdf}, ${container.cipher}`)
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, container.kdfparams),
+    Buffer.from(container.cipherparams.iv, "hex"),
+  )
+  decipher.setAuthTag(Buffer.from(container.cipherparams.tag, "hex"))
+  try {
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(container.ciphertext, "hex")),
+      decipher.final(),
+    ])
+    return JSON.parse(plaintext.toString("utf8"))
+  } catch (e) {
+    throw new Error(WRONG_PASSPHRASE)
+  }
+}
+
+export function isEncrypted(identity) {
+  return "keystore" in identity || "secrets" in identity
+}
+
+// Returns whether an identity holds a plaintext mnemonic or secret
+export function hasPlaintextSecrets(identity) {
+  return ["mnemonic", ...SECRET_KEYS].some((key) => !!identity[key])
+}
+
+/**
+ * Encrypts the mnemonic of an identity as an Ethereum JSON keystore, and its
+ * DID and Nostr secrets as a container encrypted with the same passphrase.
+ * @param   {Object} identity The plaintext mnemonic, did:key and nostr_sk,
+ *                            the other keys are kept as they are.
+ * @param   {string} passphrase
+ * @returns {Promise<Object>} The identity with keystore and secrets instead.
+ */
+export async function encryptIdentity(identity, passphrase) {
+  if (!passphrase) {
+    throw new Error("The passphrase must not be empty")
+  }
+  const { mnemonic, ...rest } = identity
+  const secrets = Object.fromEntries(SECRET_KEYS.map((key) => [key, identity[key] ?? ""]))
+  SECRET_KEYS.forEach((key) => delete rest[key])
+  const encrypted = { ...rest, secrets: encryptSecrets(secrets, passphrase) }
+  if (mnemonic) {
+    const wallet = Wallet.fromPhrase(mnemonic.trim())
+    encrypted.keystore = JSON.parse(await wallet.encrypt(passphrase))
+  }
+  return encrypted
+}
+
+/**
+ * Decrypts an identity encrypted by encryptIdentity.
+ * @param   {Object} identity
+ * @param   {string} passphrase
+ * @returns {Object} The identity with the plaintext mnemonic, did:key and
+ *                   nostr_sk.
+ */
+export function decryptIdentity(identity, passphrase) {
+  const { keystore, secrets, ...decrypted } = identity
+  if (keystore) {
+    let wallet
+    try {
+      wallet = Wallet.fromEncryptedJsonSync(JSON.stringify(keystore), passphrase)
+    } catch (e) {
+      throw new Error(WRONG_PASSPHRASE)
+    }
+    decrypted.mnemonic = wallet.mnemonic?.phrase ?? ""
+  }
+  if (secrets) {
+    Object.assign(decrypted, decryptSecrets(secrets, passphrase))
+  }
+  return decrypted
+}
+
+// Reads a passphrase from the terminal without echoing it
+function promptHidden(prompt) {
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin
+    let input = ""
+    const finish = () => {
+      stdin.removeListener("data", onData)
+      stdin.setRawMode(false)
+      stdin.pause()
+      process.stderr.write("\n")
+    }
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n") {
+          finish()
+          resolve(input)
+          return
+        }
+        if (char === "\u0003") {
+          finish()
+          reject(new Error("Interrupted"))
+          return
+        }
+        input = char === "\u007f" || char === "\b" ? input.slice(0, -1) : input + char
+      }
+    }
+    process.stderr.write(prompt)
+    stdin.setRawMode(true)
+    stdin.setEncoding("utf8")
+    stdin.on("data", onData)
+    stdin.resume()
+  })
+}
+
+/**
+ * Reads the passphrase of the credentials, or of another key, from either of:
+ * 1. the first line read from the file descriptor, e.g. of --passphrase-fd
+ * 2. the environment variable, AQUA_PASSPHRASE by default
+ * 3. the terminal
+ * @param   {Object} options
+ * @param   {string|number} options.fd The file descriptor, if any.
+ * @param   {boolean} options.confirm Whether to ask twice in the terminal,
+ *                                    for a new passphrase.
+ * @param   {string} options.name What the passphrase is for, e.g. of
+ *                                another key.
+ * @param   {string} options.env The environment variable of the passphrase.
+ * @param   {string} options.fdOption The command line option of the file
+ *                                    descriptor.
+ * @returns {Promise<string>} The passphrase.
+ */
+export async function readPassphrase({
+  fd,
+  confirm = false,
+  name = "the credentials",
+  env = "AQUA_PASSPHRASE",
+  fdOption = "--passphrase-fd",
+} = {}) {
+  if (fd !== undefined) {
+    const fdNumber = Number(fd)
+    if (!Number.isInteger(fdNumber) || fdNumber < 0) {
+      throw new Error(`Invalid ${fdOption} ${fd}`)
+    }
+    return fs.readFileSync(fdNumber, "utf8").split(/\r?\n/)[0]
+  }
+  if (process.env[env]) {
+    return process.env[env]
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error(`No passphrase of ${name}. Set ${env}, use ${fdOption} <n> or run in a terminal`)
+  }
+  const passphrase = await promptHidden(`Passphrase of ${name}: `)
+  if (confirm && (await promptHidden("Repeat the passphrase: ")) !== passphrase) {
+    throw new Error("The passphrases don't match")
+  }
+  return passphrase
+}
@@ -35,11 +35,6 @@ echo "5. Copying README.md to README3.md..."
 cp README.md README2.md
 check_status
 
-# Modify README.md.aqua.json (replace only first README.md with README2.md in file_index)
-echo "5. Modifying README.md.aqua.json..."
-sed -i '/"file_index": {/,/}/{0,/"README.md"/s/"README.md"/"README3.md"/}' README.md.aqua.json
-check_status
-
 # Modify README.md content (remove first character)
 echo "8. Modifying README.md content..."
 sed -i '1s/^.//' README.md
@@ -50,14 +45,10 @@ echo "7. Notarizing README.md..."
 ./notarize.js README.md
 check_status
 
-# Modify README.md.aqua.json (replace only first README.md with README2.md in file_index)
-echo "10. Modifying README.md.aqua.json..."
-sed -i '/"file_index": {/,/}/{0,/"README.md"/s/"README.md"/"README2.md"/}' README.md.aqua.json
-check_status
-
-# Verify README.md
+# Verify README.md, the earlier versions are found by their hash in README2.md
+# and README3.md
 echo "11. Verifying README.md..."
-./verify.js README.md
+./verify.js README.md --data-dir .
 check_status
 
 # echo "All operations completed successfully!" 
@@ -12,36 +12,79 @@ import * as main from "./index.js"
 import * as formatter from "./formatter.js"
 
 import * as did from "./did.js"
+import * as x509 from "./x509.js"
+import * as ssh from "./ssh.js"
 // Witness support for nostr network
 import * as witnessNostr from "./witness_nostr.js"
 import * as witnessEth from "./witness_eth.js"
 import * as witnessTsa from "./witness_tsa.js"
 
 import { createAquaTree } from "./aquavhtree.js"
+import { listFiles, createGlobFilter } from "./file_list.js"
 
 import { fileURLToPath } from "url"
-import { dirname } from "path"
+import { basename, dirname, join, relative, resolve, sep } from "path"
 
 // import { Wallet, Mnemonic } from 'ethers';
-import { readCredentials, getWallet, estimateWitnessGas } from "./utils.js"
+import {
+  readCredentials,
+  getDefaultCredentialsPath,
+  getWallet,
+  estimateWitnessGas,
+} from "./utils.js"
+import { readPassphrase } from "./keystore.js"
 
 const opts = {
   // This is required so that -v is position independent.
   boolean: ["v", "scalar", "rm"],
-  string: ["sign", "link", "witness", "content"],
+  string: [
+    "sign", "link", "witness", "content", "hash", "recursive", "include", "exclude",
+    "manifest", "watch", "debounce", "witness-interval", "credentials", "profile",
+    "passphrase-fd", "signature-type", "purpose", "x509-key", "x509-cert", "x509-password-fd",
+    "ssh-key",
+  ],
 }
 
 const usage = () => {
   console.log(`Usage:
 notarize.js [OPTIONS] <filename>
 which generates filename.aqua.json
+notarize.js --recursive <directory> [--include <glob>] [--exclude <glob>] [--witness <method>]
+which generates an AQUA file next to every file of the directory tree
+notarize.js --watch <paths> [--sign cli] [--witness <method>]
+which notarizes the files, or the files of the directories, whenever they change
 
 Options:
-  --sign [cli|metamask|did]
+  --sign [cli|metamask|did|x509|ssh]
     Sign with either of:
     1. the Ethereum seed phrase provided in mnemonic.txt
     2. MetaMask
     3. DID key
+    4. an X.509 certificate, see --x509-key
+    5. an SSH key, see --ssh-key
+  --signature-type [eip-191|eip-712]
+    The Ethereum signature of --sign cli and metamask. eip-191 signs a text
+    message with the verification hash, eip-712 a typed struct with the
+    verification hash, the file name, the genesis revision and the --purpose,
+    which wallets show to the signer. Defaults to eip-191.
+  --purpose <text>
+    The purpose or role of an eip-712 signature, e.g. "legal approval".
+    Defaults to "approval".
+  --x509-key <file>
+    The PKCS#12 file (.p12 or .pfx), or the PEM private key, of --sign x509.
+    The revision is signed into a detached CMS SignedData.
+  --x509-cert <file>
+    The PEM certificate of the private key of --x509-key, optionally followed
+    by its intermediate CAs. Not needed for PKCS#12 files.
+  --x509-password-fd <n>
+    Read the password of an encrypted --x509-key from the file descriptor
+    <n>. Defaults to the AQUA_X509_PASSWORD environment variable, then the
+    terminal.
+  --ssh-key <file>
+    The SSH private key of --sign ssh, e.g. ~/.ssh/id_ed25519. The revision
+    is signed into an SSHSIG signature, like by ssh-keygen -Y sign. If the
+    key is encrypted, or a public key file (.pub) is given, the ssh-agent of
+    SSH_AUTH_SOCK signs instead.
   --witness [eth|nostr|tsa]
     Witness with either of:
     1. Ethereum on-chain with MetaMask
@@ -62,13 +105,49 @@ Options:
     Use this flag to switch between 'mainnet' and 'sepolia' when witnessing
   --type 
     Use this flag to switch between metamask and cli wallet when witnessing 
+  --credentials <file>
+    The credentials of --sign cli, --sign did, --witness nostr and
+    --witness eth --type cli. Defaults to the AQUA_CREDENTIALS environment
+    variable, then ${getDefaultCredentialsPath()}
+  --profile <name>
+    The profile of the credentials whose wallet, DID key and Nostr key are
+    used. Defaults to the AQUA_PROFILE environment variable, then "default".
+  --passphrase-fd <n>
+    Read the passphrase of encrypted credentials from the file descriptor
+    <n>. Defaults to the AQUA_PASSPHRASE environment variable, then the
+    terminal.
+  --hash [${main.getHashAlgorithmNames().join("|")}]
+    The hash algorithm of the new revision. Defaults to the hash algorithm
+    of the previous revision, or ${main.DEFAULT_HASH_ALGORITHM} for a genesis revision.
+  --recursive <directory>
+    Create or extend the AQUA chain of every file of the directory tree.
+    The files that are unchanged since their last revision are skipped.
+    With --witness, the heads of all the chains are witnessed at once.
+  --include <glob>, --exclude <glob>
+    Only notarize the files that match, or don't match, the glob, e.g.
+    "*.tar.gz" or "docs/**". Both can be given several times.
+  --manifest <file>
+    Where --recursive writes the list of the created revisions. Defaults to
+    aqua-manifest.json.
+  --watch <paths>
+    Append a file revision whenever one of the comma-separated files, or a
+    file of the directories, changes, until interrupted with Ctrl+C.
+    With --sign cli, every new file revision is signed. With --witness, the
+    heads of the changed chains are witnessed at once periodically.
+  --debounce <milliseconds>
+    How long a file has to be unchanged before --watch notarizes it.
+    Defaults to 1000.
+  --witness-interval <seconds>
+    How often --watch witnesses the changed chains. Defaults to 3600.
 `)
 }
 
 const argv = minimist(process.argv.slice(2), opts)
 const filename = argv._[0]
+const recursiveDir = argv["recursive"]
+const watchPathsArg = argv["watch"]
 
-if (!filename) {
+if (!filename && !recursiveDir && !watchPathsArg) {
   formatter.log_red("ERROR: You must specify a file")
   usage()
   process.exit(1)
@@ -76,6 +155,7 @@ if (!filename) {
 
 const signMethod = argv["sign"]
 const enableSignature = !!signMethod
+const signatureStandard = argv["signature-type"] ?? "eip-191"
 // all revisions are scalar by default other than the forms revisions
 // to reduce comput cost and time
 let enableScalar = argv["scalar"]
@@ -90,6 +170,33 @@ const enableLink = !!linkURIs
 const form_file_name = argv["form"]
 const network = argv["network"]
 const witness_platform_type = argv["type"]
+const hashAlgorithmArg = argv["hash"]
+
+if (!["eip-191", "eip-712"].includes(signatureStandard)) {
+  formatter.log_red(`ERROR: Unsupported signature type ${signatureStandard}`)
+  usage()
+  process.exit(1)
+}
+if (signatureStandard === "eip-712" && !["cli", "metamask"].includes(signMethod)) {
+  formatter.log_red("ERROR: --signature-type eip-712 requires --sign cli or --sign metamask")
+  process.exit(1)
+}
+
+if (signMethod === "x509" && !argv["x509-key"]) {
+  formatter.log_red("ERROR: --sign x509 requires --x509-key <file>")
+  process.exit(1)
+}
+
+if (signMethod === "ssh" && !argv["ssh-key"]) {
+  formatter.log_red("ERROR: --sign ssh requires --ssh-key <file>")
+  process.exit(1)
+}
+
+if (hashAlgorithmArg && !main.getHashAlgorithmNames().includes(hashAlgorithmArg)) {
+  formatter.log_red(`ERROR: Unsupported hash algorithm ${hashAlgorithmArg}`)
+  usage()
+  process.exit(1)
+}
 
 const port = 8420
 const host = "localhost"
@@ -105,13 +212,20 @@ const signMetamaskHtml = `
 <html>
   <script>
 const message = "MESSAGETOBESIGNED";
+// The EIP-712 typed data, or null to sign the message
+const typedData = TYPEDDATA;
 const localServerUrl= window.location.href;
 const doSignProcess = async () => {
   const wallet_address = window.ethereum.selectedAddress
-  const signature = await window.ethereum.request({
-    method: 'personal_sign',
-    params: [message, window.ethereum.selectedAddress],
-  })
+  const signature = typedData
+    ? await window.ethereum.request({
+      method: 'eth_signTypedData_v4',
+      params: [wallet_address, JSON.stringify(typedData)],
+    })
+    : await window.ethereum.request({
+      method: 'personal_sign',
+      params: [message, window.ethereum.selectedAddress],
+    })
   document.getElementById("signature").innerHTML = \`Signature of your file: \${signature} (you may close this tab)\`
   await fetch(localServerUrl, {
     method: "POST",
@@ -146,12 +260,24 @@ const sleep = (ms) => {
   return new Promise((resolve) => setTimeout(resolve, ms))
 }
 
-const doSignMetamask = async (verificationHash) => {
+// Signs the message with the verification hash, or the EIP-712 typed data if
+// given
+const doSignMetamask = async (verificationHash, typedData = null) => {
   const maxAttempts = 24; // 2 minute timeout (12 * 5 seconds)
   let attempts = 0;
 
   const messageToBeSigned = "I sign this revision: [" + verificationHash + "]"
-  const html = signMetamaskHtml.replace("MESSAGETOBESIGNED", messageToBeSigned)
+  // eth_signTypedData_v4 also expects the type of the domain
+  const payload = typedData
+    ? ethers.TypedDataEncoder.getPayload(typedData.domain, typedData.types, typedData.message)
+    : null
+  const html = signMetamaskHtml
+    .replace("MESSAGETOBESIGNED", messageToBeSigned)
+    // The file name must not end the script
+    .replace("TYPEDDATA", () => JSON.stringify(payload).replace(/</g, "\\u003c"))
+  const digest = typedData
+    ? ethers.TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message)
+    : ethers.hashMessage(messageToBeSigned)
   const requestListener = witnessEth.commonPrepareListener(html)
   const server = http.createServer(requestListener)
   try {
@@ -165,10 +291,7 @@ const doSignMetamask = async (verificationHash) => {
       if (content.signature) {
         const signature = content.signature
         const walletAddress = content.wallet_address
-        const publicKey = ethers.SigningKey.recoverPublicKey(
-          ethers.hashMessage(messageToBeSigned),
-          signature,
-        )
+        const publicKey = ethers.SigningKey.recoverPublicKey(digest, signature)
         console.log(`The signature has been retrieved: ${signature}`)
         server.close()
         return [signature, walletAddress, publicKey]
@@ -187,10 +310,92 @@ const doSignMetamask = async (verificationHash) => {
   }
 }
 
+// Reads the credentials of --profile, or exits if there are none. They are
+// only decrypted once, e.g. for all the signatures of --watch.
+let cachedCredentials = null
+const getCredentials = async () => {
+  try {
+    cachedCredentials = cachedCredentials ?? await readCredentials({
+      credentialsPath: argv["credentials"],
+      profile: argv["profile"],
+      getPassphrase: () => readPassphrase({ fd: argv["passphrase-fd"] }),
+    })
+    return cachedCredentials
+  } catch (error) {
+    formatter.log_red(`ERROR: ${error.message}`)
+    process.exit(1)
+  }
+}
+
+// Reads the key and the certificates of --sign x509, or exits if they can't
+// be read. The password is only asked for once.
+let cachedSigningKey = null
+const getSigningKey = async () => {
+  const keyPath = argv["x509-key"]
+  try {
+    cachedSigningKey = cachedSigningKey ?? await x509.readSigningKey({
+      keyPath,
+      certPath: argv["x509-cert"],
+      getPassword: () =>
+        readPassphrase({
+          fd: argv["x509-password-fd"],
+          name: keyPath,
+          env: "AQUA_X509_PASSWORD",
+          fdOption: "--x509-password-fd",
+        }),
+    })
+    return cachedSigningKey
+  } catch (error) {
+    formatter.log_red(`ERROR: ${error.message}`)
+    process.exit(1)
+  }
+}
+
 const prepareNonce = () => {
   return randomBytes(32).toString('base64url');
 }
 
+// Witnesses several revisions, usually the heads of several chains, at once.
+// Only the merkle root of the revisions is published, and every revision
+// lists all of them in witness_merkle_proof.
+const prepareAggregatedWitness = async (verificationHashes, hashAlgorithm) => {
+  const tree = new MerkleTree(verificationHashes, main.getMerkleHashFunction(hashAlgorithm), {
+    duplicateOdd: false,
+  })
+  const witness = await prepareWitness(tree.getHexRoot())
+  witness.witness_merkle_proof = verificationHashes
+  return witness
+}
+
+// Witnesses the heads of several chains, given as [verificationHash,
+// hashAlgorithm] pairs. The chains of each hash algorithm get their own
+// aggregated witness, because the merkle root is verified with the hash
+// algorithm of the witness revision. Returns the witnesses by hash algorithm.
+const prepareWitnessesByHashAlgorithm = async (heads) => {
+  const witnesses = new Map()
+  for (const hashAlgorithm of new Set(heads.map(([_, algorithm]) => algorithm))) {
+    const verificationHashes = heads
+      .filter(([_, algorithm]) => algorithm === hashAlgorithm)
+      .map(([verificationHash]) => verificationHash)
+    witnesses.set(hashAlgorithm, await prepareAggregatedWitness(verificationHashes, hashAlgorithm))
+  }
+  return witnesses
+}
+
+// Returns the verification hash of a revision that is added to one of several
+// chains, and adds its leaves unless it is scalar
+const hashChainRevision = (verificationData, hashAlgorithm) => {
+  if (enableScalar) {
+    return main.getScalarVerificationHash(verificationData)
+  }
+  const leaves = main.dict2Leaves(verificationData, hashAlgorithm)
+  verificationData.leaves = leaves
+  const tree = new MerkleTree(leaves, main.getMerkleHashFunction(hashAlgorithm), {
+    duplicateOdd: false,
+  })
+  return tree.getHexRoot()
+}
+
 const createRevisionWithMultipleAquaChain = async (timestamp, revisionType, aquaFileName) => {
   if (!filename.includes(",")) {
     console.error("Multiple files must be separated by commas");
@@ -284,26 +489,17 @@ const createRevisionWithMultipleAquaChain = async (timestamp, revisionType, aqua
 
   let revisionResult = {};
 
-  if (revisionType == "witness") {
-    const tree2 = new MerkleTree(lastRevisionOrSpecifiedHashes, main.getHashSum, {
-      duplicateOdd: false,
-    })
-
-    let merkleRoot = tree2.getHexRoot();
-    let merkleProofArray = [];
-
-    lastRevisionOrSpecifiedHashes.forEach((hash) => {
-      let merkleProof = tree2.getHexProof(hash);
-      merkleProofArray.push(merkleProof);
-    });
-
-    console.log("Merkle proof: ", merkleProofArray);
-
-
-
-    revisionResult = await prepareWitness(merkleRoot);
+  // Every chain keeps its own hash algorithm
+  const hashAlgorithms = all_file_aqua_objects_list.map((aquaObject, index) =>
+    getHashAlgorithm(aquaObject, lastRevisionOrSpecifiedHashes[index]),
+  )
+  let witnesses = new Map()
+  let linkFileNames = []
 
-    revisionResult.witness_merkle_proof = lastRevisionOrSpecifiedHashes;
+  if (revisionType == "witness") {
+    witnesses = await prepareWitnessesByHashAlgorithm(
+      lastRevisionOrSpecifiedHashes.map((verificationHash, index) => [verificationHash, hashAlgorithms[index]]),
+    )
   } else {
 
 
@@ -317,14 +513,14 @@ const createRevisionWithMultipleAquaChain = async (timestamp, revisionType, aqua
 
     const linkAquaFiles = linkURIsArray.map((e) => `${e}.aqua.json`)
     const linkVerificationHash = linkAquaFiles.map(getLatestVH)
-    const linkFileHashes = linkURIsArray.map(main.getFileHashSum)
+    // The file hashes are computed with the hash algorithm of each chain
+    linkFileNames = linkURIsArray
 
 
     revisionResult = {
       link_type: "aqua",
       //link_require_indepth_verification: true,
       link_verification_hashes: linkVerificationHash,
-      link_file_hashes: linkFileHashes,
     }
 
   }
@@ -363,13 +559,16 @@ const createRevisionWithMultipleAquaChain = async (timestamp, revisionType, aqua
     // console.log("Latest revision key:", latestRevisionKey);
 
     let verificationData = {};
+    const hashAlgorithm = hashAlgorithms[index]
 
     if (revisionType == "witness") {
       verificationData = {
         previous_verification_hash: latestRevisionKey,
         local_timestamp: timestamp,
         revision_type: revisionType,
-        ...revisionResult
+        hash_algorithm: hashAlgorithm,
+        canonicalization: main.JCS_CANONICALIZATION,
+        ...witnesses.get(hashAlgorithm)
       }
     } else if (revisionType == "link") {
 
@@ -389,7 +588,10 @@ const createRevisionWithMultipleAquaChain = async (timestamp, revisionType, aqua
         previous_verification_hash: latestRevisionKey,
         local_timestamp: timestamp,
         revision_type: revisionType,
-        ...revisionResult
+        hash_algorithm: hashAlgorithm,
+        canonicalization: main.JCS_CANONICALIZATION,
+        ...revisionResult,
+        link_file_hashes: linkFileNames.map((uri) => main.getFileHashSum(uri, hashAlgorithm)),
       }
     } else {
       // console.log("Create revision with multiple aqua chain.")
@@ -398,15 +600,7 @@ const createRevisionWithMultipleAquaChain = async (timestamp, revisionType, aqua
 
 
     const revisions = current_file_aqua_object.revisions
-    // Merklelize the dictionary
-    const leaves = main.dict2Leaves(verificationData)
-    if (enableScalar == false || vTree == true) {
-      verificationData.leaves = leaves;
-    }
-    const tree = new MerkleTree(leaves, main.getHashSum, {
-      duplicateOdd: false,
-    })
-    const verificationHash = tree.getHexRoot()
+    const verificationHash = hashChainRevision(verificationData, hashAlgorithm)
     revisions[verificationHash] = verificationData
     // console.log(`\n\n Writing new revision ${verificationHash} to ${current_file} current file current_file_aqua_object ${JSON.stringify(current_file_aqua_object)} \n\n `)
     maybeUpdateFileIndex(current_file_aqua_object, {
@@ -443,7 +637,7 @@ const prepareWitness = async (verificationHash) => {
       // publisher is a public key used for nostr
       // transaction hash is an event identifier for nostr
       ;[transactionHash, publisher, witnessTimestamp] =
-        await witnessNostr.witness(merkle_root)
+        await witnessNostr.witness(merkle_root, await getCredentials())
       witness_network = "nostr"
       smart_contract_address = "N/A"
       break
@@ -463,7 +657,7 @@ const prepareWitness = async (verificationHash) => {
       smart_contract_address = "0x45f59310ADD88E6d23ca58A0Fa7A55BEE6d2a611";
 
       if (witness_platform_type === "cli") {
-        let creds = readCredentials();
+        let creds = await getCredentials();
         let [wallet, walletAddress, publicKey] = getWallet(creds.mnemonic);
 
         // console.log("Wallet address: ", walletAddress)
@@ -554,6 +748,12 @@ function formatMwTimestamp(ts) {
     .replace("Z", "")
 }
 
+// We use "now" instead of the modified time of the file
+const getNowTimestamp = () => {
+  const now = new Date().toISOString()
+  return formatMwTimestamp(now.slice(0, now.indexOf(".")))
+}
+
 const getFileTimestamp = (filename) => {
   const fileStat = fs.statSync(filename)
   // Last modified time
@@ -565,35 +765,53 @@ const getFileTimestamp = (filename) => {
 
 
 
-const prepareSignature = async (previousVerificationHash) => {
+const prepareSignature = async (previousVerificationHash, fileNameOnly, aquaObject) => {
   let signature, walletAddress, publicKey, signature_type
-  let options_array = ["metamask", "cli", "did"];
+  let options_array = ["metamask", "cli", "did", "x509", "ssh"];
   if (!options_array.includes(signMethod)) {
     console.log(`❌ An invalid sign method provided ${signMethod}.\n💡 Hint use on of  ${options_array.join(",")}`);
     process.exit(1);
   }
+
+  // The fields of the EIP-712 struct are stored in the revision, so that the
+  // verifier can rebuild it
+  let typedFields = {}
+  let typedData = null
+  if (signatureStandard === "eip-712") {
+    const genesisHash = main.getGenesisHash(aquaObject, previousVerificationHash)
+    typedFields = {
+      signature_file_name: aquaObject.file_index?.[genesisHash] ?? fileNameOnly,
+      signature_genesis_hash: genesisHash,
+      signature_purpose: argv["purpose"] ?? "approval",
+    }
+    typedData = main.getEIP712TypedData(previousVerificationHash, typedFields)
+  }
+
   switch (signMethod) {
     case "metamask":
       ;[signature, walletAddress, publicKey] = await doSignMetamask(
         previousVerificationHash,
+        typedData,
       )
-      signature_type = "ethereum:eip-191"
+      signature_type = `ethereum:${signatureStandard}`
       break
     case "cli":
       try {
-        const credentials = readCredentials()
+        const credentials = await getCredentials()
         let wallet
           ;[wallet, walletAddress, publicKey] = getWallet(credentials.mnemonic)
-        signature = await doSign(wallet, previousVerificationHash)
+        signature = typedData
+          ? await wallet.signTypedData(typedData.domain, typedData.types, typedData.message)
+          : await doSign(wallet, previousVerificationHash)
       } catch (error) {
         console.error("Failed to read mnemonic:", error)
         process.exit(1)
       }
-      signature_type = "ethereum:eip-191"
+      signature_type = `ethereum:${signatureStandard}`
       break
     case "did":
-      const credentials = readCredentials()
-      if (credentials['did:key'].length === 0 || !credentials['did:key']) {
+      const credentials = await getCredentials()
+      if (!credentials['did:key']) {
 
         console.log("DID key is required.  Please get a key from https://hub.ebsi.eu/tools/did-generator")
 
@@ -609,12 +827,45 @@ const prepareSignature = async (previousVerificationHash) => {
       publicKey = key
       signature_type = "did:key"
       break
+    case "x509": {
+      const { cms, certificate, subject } = await x509.signature.sign(
+        previousVerificationHash,
+        await getSigningKey(),
+      )
+      signature = cms
+      // The subject identifies the signer like a wallet address
+      walletAddress = subject
+      publicKey = certificate
+      signature_type = "x509:cms"
+      console.log(`Signed by ${subject}`)
+      break
+    }
+    case "ssh": {
+      let armored, publicKeyLine, fingerprint
+      try {
+        ;({ armored, publicKey: publicKeyLine, fingerprint } = await ssh.signature.sign(
+          previousVerificationHash,
+          ssh.readSigningKey(argv["ssh-key"]),
+        ))
+      } catch (error) {
+        formatter.log_red(`ERROR: Failed to sign with the SSH key ${argv["ssh-key"]}: ${error.message}`)
+        process.exit(1)
+      }
+      signature = armored
+      // The fingerprint identifies the signer like a wallet address
+      walletAddress = fingerprint
+      publicKey = publicKeyLine
+      signature_type = "ssh:sshsig"
+      console.log(`Signed with the SSH key ${fingerprint}`)
+      break
+    }
   }
   return {
     signature,
     signature_public_key: publicKey,
     signature_wallet_address: walletAddress,
     signature_type,
+    ...typedFields,
   }
 }
 
@@ -635,15 +886,20 @@ const serializeAquaObject = (aquaFilename, aquaObject) => {
   }
 }
 
-const checkFileHashAlreadyNotarized = (fileHash, aquaObject) => {
-  // Check if this file hash already exists in any revision
-  const existingRevision = Object.values(aquaObject.revisions).find(
-    (revision) => revision.file_hash && revision.file_hash === fileHash,
-  )
+// Returns whether this file hash is the one of the latest revision with a
+// file hash, i.e. the content didn't change since. A content that goes back
+// to an earlier version is notarized again.
+const isFileHashNotarized = (fileHash, aquaObject) => {
+  const latestFileHash = Object.values(aquaObject.revisions)
+    .reverse()
+    .find((revision) => revision.file_hash)?.file_hash
+  return latestFileHash === fileHash
+}
 
-  if (existingRevision) {
+const checkFileHashAlreadyNotarized = (fileHash, aquaObject) => {
+  if (isFileHashNotarized(fileHash, aquaObject)) {
     console.log(
-      `Abort. No new revision created.\n \nA new content revision is obsolete as a content revision with the same file hash (${fileHash}) already exists. `,
+      `Abort. No new revision created.\n \nA new content revision is obsolete as the latest content revision has the same file hash (${fileHash}). `,
     )
     process.exit(1)
   }
@@ -712,6 +968,30 @@ const removeRevision = (aquaObject, lastRevisionHash, aquaFilename) => {
   }
 }
 
+// The hash algorithm of a new revision is the one given with --hash, otherwise
+// the one of its previous revision.
+const getHashAlgorithm = (aquaObject, previousVerificationHash) => {
+  if (hashAlgorithmArg) {
+    return hashAlgorithmArg
+  }
+  const previousRevision = aquaObject.revisions[previousVerificationHash]
+  return previousRevision?.hash_algorithm ?? main.DEFAULT_HASH_ALGORITHM
+}
+
+// Flattens nested form data into path-keyed fields, so that every value gets
+// its own leaf, e.g. {address: {city: "Berlin"}, items: ["a"]} becomes
+// {"forms_address.city": "Berlin", "forms_items.0": "a"}
+const flattenFormData = (value, path, flattened) => {
+  if (value !== null && typeof value === "object" && Object.keys(value).length > 0) {
+    for (const key of Object.keys(value)) {
+      flattenFormData(value[key], `${path}.${key}`, flattened)
+    }
+  } else {
+    flattened[path] = value
+  }
+  return flattened
+}
+
 const createNewRevision = async (
   fileNameOnly,
   targetHash,
@@ -726,10 +1006,15 @@ const createNewRevision = async (
     process.exit(1);
   }
 
+  const hashAlgorithm = getHashAlgorithm(aquaObject, targetHash)
   let verificationData = {
     previous_verification_hash: targetHash, //previousVerificationHash,
     local_timestamp: timestamp,
     revision_type,
+    hash_algorithm: hashAlgorithm,
+    // Makes the verification hash independent of the key order and covers
+    // nested values in the leaves
+    canonicalization: main.JCS_CANONICALIZATION,
   }
 
   let fileHash
@@ -740,7 +1025,7 @@ const createNewRevision = async (
       if (enableContent != undefined && enableContent.length > 0) {
 
         const fileContent = fs.readFileSync(enableContent); //filename)
-        fileHash = main.getHashSum(fileContent)
+        fileHash = main.getHashSum(fileContent, hashAlgorithm)
 
         checkFileHashAlreadyNotarized(fileHash, aquaObject)
 
@@ -749,7 +1034,7 @@ const createNewRevision = async (
         console.log("📄 content flag detected  file  :", enableContent);
       } else {
         const fileContent = fs.readFileSync(fileNameOnly); //filename)
-        fileHash = main.getHashSum(fileContent)
+        fileHash = main.getHashSum(fileContent, hashAlgorithm)
 
         checkFileHashAlreadyNotarized(fileHash, aquaObject)
       }
@@ -757,7 +1042,7 @@ const createNewRevision = async (
       verificationData["file_nonce"] = prepareNonce()
       break
     case "signature":
-      const sigData = await prepareSignature(targetHash)
+      const sigData = await prepareSignature(targetHash, fileNameOnly, aquaObject)
       verificationData = { ...verificationData, ...sigData }
       break
     case "witness":
@@ -781,7 +1066,7 @@ const createNewRevision = async (
       }
 
       // Calculate the hash of the file
-      fileHash = main.getHashSum(form_data)
+      fileHash = main.getHashSum(form_data, hashAlgorithm)
       checkFileHashAlreadyNotarized(fileHash, aquaObject)
       verificationData["file_hash"] = fileHash
       verificationData["file_nonce"] = prepareNonce()
@@ -800,7 +1085,12 @@ const createNewRevision = async (
       let form_data_sorted_keys = Object.keys(form_data_json)
       let form_data_sorted_with_prefix = {}
       for (let key of form_data_sorted_keys) {
-        form_data_sorted_with_prefix[`forms_${key}`] = form_data_json[key]
+        flattenFormData(form_data_json[key], `forms_${key}`, form_data_sorted_with_prefix)
+      }
+      for (let key of Object.keys(form_data_sorted_with_prefix)) {
+        if (!key.endsWith(".deleted")) continue
+        console.error(`Error: The form field ${key} clashes with the marker of deleted fields.`)
+        process.exit(1)
       }
 
       verificationData = {
@@ -825,7 +1115,7 @@ const createNewRevision = async (
 
       // console.log("linkVHs ", linkVHs);
 
-      const linkFileHashes = linkURIsArray.map(main.getFileHashSum)
+      const linkFileHashes = linkURIsArray.map((uri) => main.getFileHashSum(uri, hashAlgorithm))
       // Validation again
       linkFileHashes.map((fh) => {
         if (!(fh in aquaObject.file_index)) return
@@ -848,16 +1138,15 @@ const createNewRevision = async (
     // A simpler version of revision -- scalar
     const scalarData = verificationData //JSON.stringify(verificationData)
     return {
-      verification_hash:
-        "0x" + main.getHashSum(JSON.stringify(verificationData)),
+      verification_hash: main.getScalarVerificationHash(verificationData),
       data: scalarData,
     }
   }
 
 
   // Merklelize the dictionary
-  const leaves = main.dict2Leaves(verificationData)
-  const tree = new MerkleTree(leaves, main.getHashSum, {
+  const leaves = main.dict2Leaves(verificationData, hashAlgorithm)
+  const tree = new MerkleTree(leaves, main.getMerkleHashFunction(hashAlgorithm), {
     duplicateOdd: false,
   })
 
@@ -907,9 +1196,306 @@ const createGenesisRevision = async (aquaFilename, timestamp, fileNameOnly) => {
   serializeAquaObject(aquaFilename, aquaObject)
 }
 
+// The AQUA chain of a file, as used by --recursive and --watch
+const readChain = (file) => {
+  const aquaFilename = `${file}.aqua.json`
+  const aquaObject = fs.existsSync(aquaFilename)
+    ? JSON.parse(fs.readFileSync(aquaFilename))
+    : createNewAquaObject()
+  return { file, aquaFilename, aquaObject }
+}
+
+const getChainHead = (chain) => Object.keys(chain.aquaObject.revisions).pop() ?? ""
+
+// Appends a revision to a chain and writes its AQUA file. Returns the entry of
+// the revision in the manifest.
+const appendRevision = (chain, revision) => {
+  const revisionType = revision.data.revision_type
+  chain.aquaObject.revisions[revision.verification_hash] = revision.data
+  maybeUpdateFileIndex(chain.aquaObject, revision, revisionType, chain.file)
+  serializeAquaObject(chain.aquaFilename, createAquaTree(chain.aquaObject))
+  console.log(`- Writing new ${revisionType} revision ${revision.verification_hash} to ${chain.aquaFilename}`)
+  return {
+    file: chain.file,
+    aqua_file: chain.aquaFilename,
+    revision_type: revisionType,
+    verification_hash: revision.verification_hash,
+    previous_verification_hash: revision.data.previous_verification_hash,
+  }
+}
+
+// Appends a file revision to a chain, or creates its genesis revision. Returns
+// null if the content of the file didn't change since the latest file
+// revision.
+const appendFileRevision = async (chain, timestamp) => {
+  const previousVerificationHash = getChainHead(chain)
+  const hashAlgorithm = getHashAlgorithm(chain.aquaObject, previousVerificationHash)
+  if (isFileHashNotarized(main.getFileHashSum(chain.file, hashAlgorithm), chain.aquaObject)) {
+    return null
+  }
+  const revision = await createNewRevision(
+    chain.file,
+    previousVerificationHash,
+    timestamp,
+    "file",
+    enableScalar,
+    chain.aquaObject,
+  )
+  return appendRevision(chain, revision)
+}
+
+// Witnesses the heads of several chains at once. The heads that are already
+// witnessed are left out. Returns the entries of the witness revisions in the
+// manifest.
+const witnessChainHeads = async (chains, timestamp) => {
+  const heads = chains
+    .map((chain) => [chain, getChainHead(chain)])
+    .filter(([chain, head]) => chain.aquaObject.revisions[head].revision_type !== "witness")
+  if (heads.length === 0) {
+    return []
+  }
+  const hashAlgorithms = heads.map(([chain, head]) => getHashAlgorithm(chain.aquaObject, head))
+  const witnesses = await prepareWitnessesByHashAlgorithm(
+    heads.map(([_, head], index) => [head, hashAlgorithms[index]]),
+  )
+  return heads.map(([chain, head], index) => {
+    const hashAlgorithm = hashAlgorithms[index]
+    const witness = witnesses.get(hashAlgorithm)
+    const verificationData = {
+      previous_verification_hash: head,
+      local_timestamp: timestamp,
+      revision_type: "witness",
+      hash_algorithm: hashAlgorithm,
+      canonicalization: main.JCS_CANONICALIZATION,
+      ...witness,
+    }
+    const verificationHash = hashChainRevision(verificationData, hashAlgorithm)
+    return appendRevision(chain, { verification_hash: verificationHash, data: verificationData })
+  })
+}
+
+// Returns whether a file of a directory tree passes the --include and
+// --exclude globs. The AQUA files are left out, and so are hidden directories
+// and node_modules like listFiles does.
+const createFileSelector = (dir, ignoredFiles = []) => {
+  const toArray = (value) => (value === undefined ? [] : [].concat(value))
+  const isSelected = createGlobFilter(toArray(argv["include"]), toArray(argv["exclude"]))
+  const ignored = ignoredFiles.map((file) => resolve(file))
+  return (file) => {
+    const relativePath = relative(dir, file)
+    const parentDirs = relativePath.split(sep).slice(0, -1)
+    return (
+      !file.endsWith(".aqua.json") &&
+      !ignored.includes(resolve(file)) &&
+      !parentDirs.some((name) => name.startsWith(".") || name === "node_modules") &&
+      isSelected(relativePath)
+    )
+  }
+}
+
+const listSelectedFiles = (dir, ignoredFiles = []) => {
+  return listFiles(dir).filter(createFileSelector(dir, ignoredFiles)).sort()
+}
+
+// Creates or extends the AQUA chain of every file of a directory tree.
+// Steps:
+// - Lists the files that pass the --include and --exclude globs, leaving out
+//   the AQUA files and the manifest.
+// - Appends a file revision to every chain, or creates its genesis revision.
+//   The files whose hash is already in their chain are skipped.
+// - With --witness, witnesses the heads of all the chains at once.
+// - Writes the created revisions and the unchanged files to the manifest.
+const notarizeDirectory = async (dir) => {
+  if (filename || enableSignature || enableLink || form_file_name || enableContent || enableRemoveRevision) {
+    formatter.log_red("ERROR: --recursive can only be combined with --witness, --include, --exclude, --manifest, --hash and --vtree")
+    process.exit(1)
+  }
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    formatter.log_red(`ERROR: ${dir} is not a directory`)
+    process.exit(1)
+  }
+
+  const timestamp = getNowTimestamp()
+  enableScalar = !vTree
+  const manifestFilename = argv["manifest"] || "aqua-manifest.json"
+
+  const createdRevisions = []
+  const unchangedFiles = []
+  const chains = []
+  for (const file of listSelectedFiles(dir, [manifestFilename])) {
+    const chain = readChain(file)
+    chains.push(chain)
+    const entry = await appendFileRevision(chain, timestamp)
+    if (entry) {
+      createdRevisions.push(entry)
+    } else {
+      unchangedFiles.push(file)
+    }
+  }
+
+  if (enableWitness) {
+    createdRevisions.push(...(await witnessChainHeads(chains, timestamp)))
+  }
+
+  const manifest = {
+    directory: dir,
+    local_timestamp: timestamp,
+    revisions: createdRevisions,
+    unchanged: unchangedFiles,
+  }
+  serializeAquaObject(manifestFilename, manifest)
+  console.log(
+    `Created ${createdRevisions.length} revisions, ${unchangedFiles.length} unchanged files skipped. The manifest is ${manifestFilename}`,
+  )
+}
+
+// Notarizes files whenever they change, until interrupted.
+// Steps:
+// - Watches the given files, and the files of the given directory trees that
+//   pass the --include and --exclude globs.
+// - Waits until a file has not changed for --debounce milliseconds, then
+//   appends a file revision if its hash is not in its chain yet. The files
+//   that changed while not watched are notarized on start.
+// - With --sign cli, signs every new file revision.
+// - With --witness, witnesses the heads of the changed chains at once every
+//   --witness-interval seconds.
+// The AQUA files are written one at a time, so that events that overlap don't
+// overwrite each other's revisions.
+const watchPaths = async (paths) => {
+  if (filename || enableLink || form_file_name || enableContent || enableRemoveRevision) {
+    formatter.log_red("ERROR: --watch can only be combined with --sign cli, --witness, --include, --exclude, --debounce, --witness-interval, --hash and --vtree")
+    process.exit(1)
+  }
+  if (enableSignature && signMethod !== "cli") {
+    formatter.log_red("ERROR: --watch can only sign with --sign cli")
+    process.exit(1)
+  }
+  const debounceMs = Number(argv["debounce"] ?? 1000)
+  const witnessIntervalSeconds = Number(argv["witness-interval"] ?? 3600)
+  if (!Number.isInteger(debounceMs) || debounceMs < 0) {
+    formatter.log_red(`ERROR: Invalid --debounce ${argv["debounce"]}, expected a number of milliseconds`)
+    process.exit(1)
+  }
+  if (!(witnessIntervalSeconds > 0)) {
+    formatter.log_red(`ERROR: Invalid --witness-interval ${argv["witness-interval"]}, expected a number of seconds`)
+    process.exit(1)
+  }
+  for (const path of paths) {
+    if (!fs.existsSync(path)) {
+      formatter.log_red(`ERROR: ${path} does not exist`)
+      process.exit(1)
+    }
+  }
+  enableScalar = !vTree
+
+  // The files whose chain has new revisions since the last witness
+  const unwitnessedFiles = new Set()
+  let queue = Promise.resolve()
+  const enqueue = (task) => {
+    queue = queue.then(task).catch((error) => formatter.log_red(`ERROR: ${error.message}`))
+    return queue
+  }
+
+  const notarizeFile = async (file) => {
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      // Deleted, or replaced by a directory
+      return
+    }
+    const chain = readChain(file)
+    const timestamp = getNowTimestamp()
+    if (!(await appendFileRevision(chain, timestamp))) {
+      return
+    }
+    if (enableSignature) {
+      const signature = await createNewRevision(
+        file,
+        getChainHead(chain),
+        timestamp,
+        "signature",
+        enableScalar,
+        chain.aquaObject,
+      )
+      appendRevision(chain, signature)
+    }
+    unwitnessedFiles.add(file)
+  }
+
+  const witnessChangedFiles = async () => {
+    if (unwitnessedFiles.size === 0) {
+      return
+    }
+    const chains = [...unwitnessedFiles].map(readChain)
+    await witnessChainHeads(chains, getNowTimestamp())
+    // Only after the witness succeeded, so that a failed witness is retried
+    // on the next interval
+    unwitnessedFiles.clear()
+  }
+
+  const timers = new Map()
+  const onChange = (file) => {
+    clearTimeout(timers.get(file))
+    timers.set(
+      file,
+      setTimeout(() => {
+        timers.delete(file)
+        enqueue(() => notarizeFile(file))
+      }, debounceMs),
+    )
+  }
+
+  // The parent directory of a file is watched rather than the file itself, so
+  // that editors that replace the file on save are supported
+  const watchers = []
+  for (const path of paths) {
+    if (fs.statSync(path).isDirectory()) {
+      listSelectedFiles(path).forEach((file) => enqueue(() => notarizeFile(file)))
+      const isSelected = createFileSelector(path)
+      watchers.push(
+        fs.watch(path, { recursive: true }, (_, name) => {
+          if (name && isSelected(join(path, name))) {
+            onChange(join(path, name))
+          }
+        }),
+      )
+    } else {
+      enqueue(() => notarizeFile(path))
+      watchers.push(
+        fs.watch(dirname(path) || ".", (_, name) => {
+          if (name === basename(path)) {
+            onChange(path)
+          }
+        }),
+      )
+    }
+  }
+  const witnessTimer = enableWitness
+    ? setInterval(() => enqueue(witnessChangedFiles), witnessIntervalSeconds * 1000)
+    : null
+  console.log(`Watching ${paths.join(", ")} for changes. Press Ctrl+C to stop.`)
+
+  const stop = async () => {
+    watchers.forEach((watcher) => watcher.close())
+    clearInterval(witnessTimer)
+    timers.forEach((timer) => clearTimeout(timer))
+    await queue
+    process.exit(0)
+  }
+  process.on("SIGINT", stop)
+  process.on("SIGTERM", stop)
+}
+
   // The main function
   ; (async function () {
 
+    if (recursiveDir) {
+      await notarizeDirectory(recursiveDir)
+      return
+    }
+    if (watchPathsArg) {
+      await watchPaths(watchPathsArg.split(","))
+      return
+    }
+
     let fileNameOnly = "";
     let revisionSpecified = "";
 
@@ -934,9 +1520,7 @@ const createGenesisRevision = async (aquaFilename, timestamp, fileNameOnly) => {
 
     const aquaFilename = fileNameOnly + ".aqua.json"
     // const timestamp = getFileTimestamp(filename)
-    // We use "now" instead of the modified time of the file
-    const now = new Date().toISOString()
-    const timestamp = formatMwTimestamp(now.slice(0, now.indexOf(".")))
+    const timestamp = getNowTimestamp()
     if (!form_file_name) {
       enableScalar = true
     }
@@ -0,0 +1,191 @@
+import * as fs from "fs"
+import Ajv from "ajv"
+import * as main from "./index.js"
+import { normalizeIdentity } from "./keyring.js"
+
+// The outcome of a policy or of one of its rules. A rule that is only
+// satisfied by witnesses that were not checked (offline verification) is
+// UNCHECKED.
+const POLICY_PASSED = "PASSED"
+const POLICY_FAILED = "FAILED"
+const POLICY_UNCHECKED = "UNCHECKED"
+
+const policySchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    // Wallet addresses or DIDs that each have to sign the chain
+    required_signers: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", minLength: 1 },
+    },
+    // The minimum number of distinct signers
+    min_signatures: { type: "integer", minimum: 1 },
+    // At least one witness has to be on one of these networks
+    witness_networks: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", minLength: 1 },
+    },
+    // The maximum number of seconds between a file revision and the witness
+    // that covers it
+    max_witness_delay: { type: "number", minimum: 0 },
+  },
+}
+
+let validatePolicySchema = null
+
+/**
+ * Reads and validates a policy file.
+ * @param   {string} filePath The JSON policy file.
+ * @returns {Object} The policy.
+ */
+export function readPolicyFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`The policy file ${filePath} does not exist.`)
+  }
+  let policy
+  try {
+    policy = JSON.parse(fs.readFileSync(filePath, "utf8"))
+  } catch (e) {
+    throw new Error(`The policy file ${filePath} is not valid JSON: ${e.message}`)
+  }
+  validatePolicySchema = validatePolicySchema ?? new Ajv({ allErrors: true }).compile(policySchema)
+  if (!validatePolicySchema(policy)) {
+    const errors = validatePolicySchema.errors.map((error) => {
+      const extra = error.params.additionalProperty
+        ? ` ${error.params.additionalProperty}`
+        : ""
+      return `${error.instancePath || "/"}: ${error.message}${extra}`
+    })
+    throw new Error(
+      `The policy file ${filePath} is not valid:\n  ${errors.join("\n  ")}`,
+    )
+  }
+  return policy
+}
+
+function isAncestor(aquaObject, ancestorHash, verificationHash) {
+  let current = aquaObject.revisions[verificationHash]?.previous_verification_hash
+  while (current) {
+    if (current === ancestorHash) {
+      return true
+    }
+    current = aquaObject.revisions[current]?.previous_verification_hash
+  }
+  return false
+}
+
+function ruleResult(rule, status, message) {
+  return { rule, status, message }
+}
+
+/**
+ * Evaluates a policy against the verification result of a chain. Only the
+ * revisions that passed verification count, so that the outcome of the
+ * policy is reported separately from the cryptographic validity.
+ * Rules:
+ * - required_signers: every listed wallet address or DID has signed.
+ * - min_signatures: the number of distinct signers is at least this.
+ * - witness_networks: at least one witness is on one of the networks.
+ * - max_witness_delay: every file revision is covered by a later witness
+ *   within this many seconds.
+ * @param   {Object} policy The policy, e.g. as read by readPolicyFile.
+ * @param   {Object} aquaObject The verified AQUA object.
+ * @param   {AquaVerificationResult} result The result of verifyAquaObject.
+ * @returns {Object} The overall status and the result of every rule.
+ */
+export function evaluatePolicy(policy, aquaObject, result) {
+  const verified = result.revisions.filter(
+    (detail) => detail.status.verification === "VERIFIED",
+  )
+  const signers = new Set(
+    verified
+      .filter((detail) => detail.revision_type === "signature" && detail.status.type_ok === "valid")
+      .map((detail) => normalizeIdentity(detail.data.signature_wallet_address)),
+  )
+  const witnesses = verified.filter((detail) => detail.revision_type === "witness")
+  // Checks a condition on the valid witnesses, then on the unchecked ones
+  const witnessStatus = (condition) => {
+    if (witnesses.some((w) => w.status.type_ok === "valid" && condition(w))) {
+      return POLICY_PASSED
+    }
+    if (witnesses.some((w) => w.status.type_ok === "unchecked" && condition(w))) {
+      return POLICY_UNCHECKED
+    }
+    return POLICY_FAILED
+  }
+
+  const rules = []
+  if (policy.required_signers) {
+    const missing = policy.required_signers.filter(
+      (signer) => !signers.has(normalizeIdentity(signer)),
+    )
+    rules.push(
+      missing.length === 0
+        ? ruleResult("required_signers", POLICY_PASSED, "Every required signer has signed")
+        : ruleResult("required_signers", POLICY_FAILED, `Missing signatures of ${missing.join(", ")}`),
+    )
+  }
+  if (policy.min_signatures !== undefined) {
+    rules.push(
+      ruleResult(
+        "min_signatures",
+        signers.size >= policy.min_signatures ? POLICY_PASSED : POLICY_FAILED,
+        `${signers.size} of ${policy.min_signatures} distinct signers`,
+      ),
+    )
+  }
+  if (policy.witness_networks) {
+    const status = witnessStatus((w) =>
+      policy.witness_networks.includes(w.data.witness_network),
+    )
+    rules.push(
+      ruleResult(
+        "witness_networks",
+        status,
+        status === POLICY_FAILED
+          ? `No witness on ${policy.witness_networks.join(", ")}`
+          : `Witnessed on ${policy.witness_networks.join(", ")}`,
+      ),
+    )
+  }
+  if (policy.max_witness_delay !== undefined) {
+    const fileRevisions = verified.filter((detail) => detail.revision_type === "file")
+    const statuses = fileRevisions.map((file) => {
+      const fileTime = main.parseLocalTimestamp(file.data.local_timestamp)
+      return [
+        file.verification_hash,
+        witnessStatus(
+          (w) =>
+            isAncestor(aquaObject, file.verification_hash, w.verification_hash) &&
+            w.data.witness_timestamp - fileTime <= policy.max_witness_delay,
+        ),
+      ]
+    })
+    const late = statuses.filter(([_, status]) => status === POLICY_FAILED)
+    const status =
+      late.length > 0
+        ? POLICY_FAILED
+        : statuses.some(([_, status]) => status === POLICY_UNCHECKED)
+          ? POLICY_UNCHECKED
+          : POLICY_PASSED
+    rules.push(
+      ruleResult(
+        "max_witness_delay",
+        status,
+        late.length > 0
+          ? `Not witnessed within ${policy.max_witness_delay} seconds: ${late.map(([vh]) => vh).join(", ")}`
+          : `Every file revision is witnessed within ${policy.max_witness_delay} seconds`,
+      ),
+    )
+  }
+
+  const status = rules.some((rule) => rule.status === POLICY_FAILED)
+    ? POLICY_FAILED
+    : rules.some((rule) => rule.status === POLICY_UNCHECKED)
+      ? POLICY_UNCHECKED
+      : POLICY_PASSED
+  return { status, rules }
+}
@@ -0,0 +1,6 @@
+# Sourced after sharness.sh by the tests that sign or witness, so that they
+# sign with a wallet of the test, created in the trash directory with
+# aqua.js credentials create, rather than with the credentials of the user.
+
+export AQUA_CREDENTIALS="$(pwd)/credentials.json"
+export AQUA_PASSPHRASE="test passphrase"
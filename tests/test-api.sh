@@ -0,0 +1,159 @@
+#!/bin/sh
+
+test_description='Test verification through the data_accounting API of a PKC server'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md &&
+    cp repo/LICENSE LICENSE &&
+    cat > mock_server.js <<-EOF
+	// Serves the AQUA files of the current directory as PKC pages, whose
+	// title is the file name
+	import * as fs from "fs"
+	import * as http from "http"
+	const token = process.argv[2]
+	const readChain = (title) =>
+	  fs.existsSync(title + ".aqua.json")
+	    ? JSON.parse(fs.readFileSync(title + ".aqua.json"))
+	    : null
+	const readChains = () =>
+	  fs.readdirSync(".").filter((f) => f.endsWith(".aqua.json")).map((f) => readChain(f.slice(0, -10)))
+	const server = http.createServer((req, res) => {
+	  const send = (status, body) => {
+	    res.writeHead(status, { "Content-Type": "application/json" })
+	    res.end(JSON.stringify(body))
+	  }
+	  if (token && req.headers.authorization !== "Bearer " + token) {
+	    return send(401, { error: "Unauthorized" })
+	  }
+	  const url = new URL(req.url, "http://localhost")
+	  const [endpoint, param] = url.pathname.replace("/rest.php/data_accounting/", "").split("/")
+	  if (endpoint === "get_server_info") {
+	    return send(200, { api_version: "0.3.0" })
+	  }
+	  if (endpoint === "get_hash_chain_info") {
+	    const chain = readChain(url.searchParams.get("identifier"))
+	    if (!chain) {
+	      return send(404, { error: "Not found" })
+	    }
+	    const genesisHash = Object.keys(chain.revisions)[0]
+	    return send(200, { genesis_hash: genesisHash, file_index: chain.file_index })
+	  }
+	  if (endpoint === "get_revision_hashes") {
+	    const chain = readChains().find((c) => Object.keys(c.revisions)[0] === param)
+	    return chain ? send(200, Object.keys(chain.revisions)) : send(404, { error: "Not found" })
+	  }
+	  if (endpoint === "get_revision") {
+	    const chain = readChains().find((c) => param in c.revisions)
+	    return chain ? send(200, chain.revisions[param]) : send(404, { error: "Not found" })
+	  }
+	  send(404, { error: "Not found" })
+	})
+	server.listen(0, "127.0.0.1", () => fs.writeFileSync("port", String(server.address().port)))
+	// Never outlive the test
+	setTimeout(() => process.exit(0), 120000)
+	EOF
+'
+
+test_expect_success 'Create the chains of two pages' '
+    $notarize README.md --content README.md &&
+    $notarize README.md --sign cli &&
+    $notarize LICENSE --content LICENSE &&
+    $notarize --link LICENSE README.md
+'
+
+test_expect_success 'Create the chain of a page without its content' '
+    echo "A page without inline content" > NOTES.md &&
+    $notarize NOTES.md &&
+    mkdir data &&
+    mv NOTES.md data/NOTES.md
+'
+
+test_expect_success 'Start the mock server' '
+    (node mock_server.js secret > /dev/null 2>&1 & echo $! > server.pid) &&
+    for i in $(seq 50); do test -s port && break; sleep 0.1; done &&
+    test -s port
+'
+
+test_expect_success 'Verify a page and its linked page' '
+    $verify --server http://127.0.0.1:$(cat port) --api README.md --token secret > actual_output &&
+    grep -q "LICENSE .*: VERIFIED" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Report the page in the JSON report' '
+    $verify --server http://127.0.0.1:$(cat port) --api README.md --token secret --json > actual_output &&
+    grep -q "\"title\": \"README.md\"" actual_output &&
+    grep -q "\"status\": \"VERIFIED\"" actual_output
+'
+
+test_expect_success 'Reject requests without the token' '
+    test_must_fail $verify --server http://127.0.0.1:$(cat port) --api README.md > actual_output &&
+    grep -q "HTTP 401" actual_output
+'
+
+test_expect_success 'Report a page without verification data' '
+    $verify --server http://127.0.0.1:$(cat port) --api Missing --token secret > actual_output &&
+    grep -q "Status: NORECORD" actual_output
+'
+
+test_expect_success 'Detect tampered page content' '
+    node -e "
+const fs = require(\"fs\")
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+const genesis = Object.values(aquaObject.revisions)[0]
+genesis.content = genesis.content.replace(\"Aqua\", \"Tampered\")
+fs.writeFileSync(\"README.md.aqua.json\", JSON.stringify(aquaObject))
+" &&
+    $verify --server http://127.0.0.1:$(cat port) --api README.md --token secret > actual_output &&
+    grep -q "Verification hash does not match" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Report the page content as unavailable without --data-dir' '
+    $verify --server http://127.0.0.1:$(cat port) --api NOTES.md --token secret > actual_output &&
+    grep -q "Content unavailable for NOTES.md" actual_output &&
+    ! grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Read the page content from --data-dir' '
+    $verify --server http://127.0.0.1:$(cat port) --api NOTES.md --token secret --data-dir data > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Detect page content in --data-dir that does not match' '
+    echo "Tampered" > data/NOTES.md &&
+    $verify --server http://127.0.0.1:$(cat port) --api NOTES.md --token secret --data-dir data > actual_output &&
+    grep -q "Content unavailable for NOTES.md: no file with hash" actual_output &&
+    ! grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Report an unreachable server' '
+    test_must_fail $verify --server http://127.0.0.1:1 --api README.md > actual_output &&
+    grep -q "Error checking API version" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    kill $(cat server.pid) &&
+    rm -f README.md.aqua.json &&
+    rm -f LICENSE.aqua.json &&
+    rm -f NOTES.md.aqua.json &&
+    rm -rf data &&
+    rm -f README.md &&
+    rm -f LICENSE &&
+    rm -f mock_server.js &&
+    rm -f server.pid &&
+    rm -f port &&
+    rm -f actual_output
+'
+
+test_done
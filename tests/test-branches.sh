@@ -0,0 +1,51 @@
+#!/bin/sh
+
+test_description='Test verification of forked revision trees'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md
+'
+
+test_expect_success 'Create a chain with two branches' '
+    $notarize README.md &&
+    genesis=$(node -e "console.log(Object.keys(JSON.parse(require(\"fs\").readFileSync(\"README.md.aqua.json\")).revisions)[0])") &&
+    echo $genesis > genesis_hash &&
+    $notarize README.md --sign cli &&
+    $notarize README.md@$genesis --sign cli
+'
+
+test_expect_success 'Verify every branch' '
+    $verify README.md > actual_output &&
+    grep -q "2 branches" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Verify the path to a chosen revision' '
+    $verify README.md@$(cat genesis_hash) --json > actual_output &&
+    grep -q "\"revision_count\": 1" actual_output &&
+    grep -q "\"status\": \"VERIFIED\"" actual_output
+'
+
+test_expect_success 'Report an unknown revision' '
+    $verify README.md@0x1234 > actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f README.md &&
+    rm -f genesis_hash &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,129 @@
+#!/bin/sh
+
+test_description='Test the verification cache'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md
+'
+
+test_expect_success 'Create AQUA file with a signature' '
+    $notarize README.md &&
+    $notarize README.md --sign cli
+'
+
+test_expect_success 'First verification fills the cache' '
+    $verify README.md --cache-file cache.json > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    ! grep -q "Cached outcome" actual_output &&
+    test -f cache.json
+'
+
+test_expect_success 'Second verification uses the cache' '
+    $verify README.md --cache-file cache.json > actual_output &&
+    test $(grep -c "Cached outcome" actual_output) -eq 1 &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Only new revisions are verified' '
+    $notarize README.md --sign cli &&
+    $verify README.md --cache-file cache.json --json > actual_output &&
+    test $(grep -c "\"cached\": true" actual_output) -eq 1 &&
+    grep -q "\"status\": \"VERIFIED\"" actual_output
+'
+
+test_expect_success 'Force a full re-check' '
+    $verify README.md --cache-file cache.json --recheck > actual_output &&
+    ! grep -q "Cached outcome" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'A modified revision is not taken from the cache' '
+    sed "s/\"signature_type\": \"ethereum:eip-191\"/\"signature_type\": \"did:key\"/" README.md.aqua.json > modified.aqua.json &&
+    $verify modified.aqua.json --cache-file cache.json > actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+# The evidence of an Ethereum witness is the transaction, which is not part of
+# the revision and hence not covered by the cache key. The witness revision is
+# appended directly and its cached outcome is injected with a given age.
+cat > cached_witness.mjs <<'SCRIPT'
+import * as fs from "fs"
+import * as main from "./repo/index.js"
+const aquaObject = JSON.parse(fs.readFileSync("witnessed.aqua.json"))
+const previous = Object.keys(aquaObject.revisions).pop()
+const witness = {
+  previous_verification_hash: previous,
+  local_timestamp: "20250101000000",
+  revision_type: "witness",
+  hash_algorithm: "sha256",
+  canonicalization: "jcs",
+  witness_merkle_root: previous,
+  witness_timestamp: 1735689600,
+  witness_network: "sepolia",
+  witness_smart_contract_address: "0x45f59310ADD88E6d23ca58A0Fa7A55BEE6d2a611",
+  witness_transaction_hash: "0x" + "0".repeat(64),
+  witness_sender_account_address: "0x" + "0".repeat(40),
+  witness_merkle_proof: [previous],
+}
+const witnessHash = main.getScalarVerificationHash(witness)
+aquaObject.revisions[witnessHash] = witness
+const entry = {
+  status: { verification: "VERIFIED", type_ok: "valid" },
+  witness_result: { doVerifyMerkleProof: false },
+  checked_at: Date.now() / 1000 - Number(process.argv[2]),
+}
+const cache = {
+  get: (key) => (key.startsWith(witnessHash + ":") ? entry : undefined),
+  set: () => {},
+}
+const result = await main.verifyAquaObject(aquaObject, { offline: true, cache })
+console.log(result.status)
+SCRIPT
+
+test_expect_success 'Use a cached witness outcome within the default TTL' '
+    echo "witnessed" > witnessed &&
+    $notarize witnessed &&
+    node cached_witness.mjs 60 > actual_output &&
+    test "$(cat actual_output)" = "VERIFIED"
+'
+
+test_expect_success 'Check a cached witness outcome again after the default TTL' '
+    node cached_witness.mjs 172800 > actual_output &&
+    test "$(cat actual_output)" = "LOCALLY_VERIFIED"
+'
+
+test_expect_success 'The cache is only used with --cache' '
+    XDG_CACHE_HOME="$(pwd)/xdg" $verify README.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    ! test -e xdg &&
+    XDG_CACHE_HOME="$(pwd)/xdg" $verify README.md --cache > actual_output &&
+    test -f xdg/aqua-verifier/verification-cache.json
+'
+
+test_expect_success 'Reject an invalid witness TTL' '
+    test_must_fail $verify README.md --witness-ttl soon
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f modified.aqua.json &&
+    rm -f README.md &&
+    rm -f cache.json &&
+    rm -rf xdg &&
+    rm -f witnessed &&
+    rm -f witnessed.aqua.json &&
+    rm -f cached_witness.mjs &&
+    rm -f actual_output
+'
+
+test_done
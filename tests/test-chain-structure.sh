@@ -0,0 +1,68 @@
+#!/bin/sh
+
+test_description='Test detection of broken hash chains'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md
+'
+
+test_expect_success 'Create AQUA file with three revisions' '
+    $notarize README.md &&
+    $notarize README.md --sign cli &&
+    $notarize README.md --sign cli &&
+    test -f README.md.aqua.json
+'
+
+test_expect_success 'Verify the intact chain' '
+    $verify README.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Detect a spliced chain' '
+    node -e "
+const fs = require(\"fs\")
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+const hashes = Object.keys(aquaObject.revisions)
+delete aquaObject.revisions[hashes[1]]
+fs.writeFileSync(\"spliced.aqua.json\", JSON.stringify(aquaObject))
+" &&
+    $verify spliced.aqua.json > actual_output &&
+    grep -q "which is not part of the chain" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Detect a reordered chain' '
+    node -e "
+const fs = require(\"fs\")
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+const revisions = {}
+for (const vh of Object.keys(aquaObject.revisions).reverse()) {
+  revisions[vh] = aquaObject.revisions[vh]
+}
+aquaObject.revisions = revisions
+fs.writeFileSync(\"reordered.aqua.json\", JSON.stringify(aquaObject))
+" &&
+    $verify reordered.aqua.json > actual_output &&
+    grep -q "comes before its previous revision" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f spliced.aqua.json &&
+    rm -f reordered.aqua.json &&
+    rm -f README.md &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,81 @@
+#!/bin/sh
+
+test_description='Test concurrent verification of linked chains'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    cp repo/README.md README.md &&
+    cp repo/LICENSE LICENSE &&
+    cp repo/package.json package.json &&
+    cp repo/verify.js verify.js &&
+    cat > verify_concurrently.js <<-EOF
+	import * as fs from "fs"
+	import * as main from "./repo/index.js"
+	let active = 0
+	let maxActive = 0
+	const aquaObject = JSON.parse(fs.readFileSync("README.md.aqua.json"))
+	const result = await main.verifyAquaObject(aquaObject, {
+	  concurrency: Number(process.argv[2]),
+	  loadLinkedAquaObject: async (fileName) => {
+	    active += 1
+	    maxActive = Math.max(maxActive, active)
+	    await new Promise((resolve) => setTimeout(resolve, 100))
+	    active -= 1
+	    return JSON.parse(fs.readFileSync(fileName + ".aqua.json"))
+	  },
+	})
+	const inOrder = result.revisions.every(
+	  (detail, idx) => detail.verification_hash === result.verification_hashes[idx],
+	)
+	console.log(result.status, maxActive, inOrder)
+	EOF
+'
+
+test_expect_success 'Create a chain with three links' '
+    $notarize README.md &&
+    $notarize LICENSE &&
+    $notarize package.json &&
+    $notarize verify.js &&
+    $notarize --link LICENSE,package.json README.md &&
+    $notarize --link verify.js README.md
+'
+
+test_expect_success 'Verify the linked chains one at a time' '
+    node verify_concurrently.js 1 > actual_output &&
+    test "$(cat actual_output)" = "VERIFIED 1 true"
+'
+
+test_expect_success 'Verify the linked chains of a revision concurrently' '
+    node verify_concurrently.js 4 > actual_output &&
+    test "$(cat actual_output)" = "VERIFIED 2 true"
+'
+
+test_expect_success 'Verify with a concurrency limit from the command line' '
+    $verify README.md --concurrency 2 > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Reject an invalid concurrency limit' '
+    test_must_fail $verify README.md --concurrency 0
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f LICENSE.aqua.json &&
+    rm -f package.json.aqua.json &&
+    rm -f verify.js.aqua.json &&
+    rm -f README.md &&
+    rm -f LICENSE &&
+    rm -f package.json &&
+    rm -f verify.js &&
+    rm -f verify_concurrently.js &&
+    rm -f actual_output
+'
+
+test_done
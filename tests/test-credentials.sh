@@ -0,0 +1,88 @@
+#!/bin/sh
+
+test_description='Test the credentials store and its profiles'
+
+notarize="repo/notarize.js"
+aqua="repo/aqua.js"
+
+. ./tests/sharness/sharness.sh
+
+export XDG_CONFIG_HOME="$(pwd)/config"
+unset AQUA_CREDENTIALS AQUA_PROFILE
+export AQUA_PASSPHRASE="test passphrase"
+
+# Prints the signer of the last revision of README.md
+last_signer() {
+    node -e "
+const revisions = Object.values(JSON.parse(require(\"fs\").readFileSync(\"README.md.aqua.json\")).revisions)
+console.log(revisions.pop().signature_wallet_address)
+"
+}
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    cp repo/README.md README.md &&
+    $notarize README.md
+'
+
+test_expect_success 'Do not create a wallet when there are no credentials' '
+    test_must_fail $notarize README.md --sign cli --credentials missing.json > actual_output &&
+    grep -q "No credentials found at missing.json" actual_output &&
+    test ! -f missing.json
+'
+
+test_expect_success 'Create a wallet in the config directory' '
+    $aqua credentials create > actual_output &&
+    grep -q "of the profile default in $XDG_CONFIG_HOME/aqua-verifier/credentials.json" actual_output &&
+    test "$(stat -c %a config/aqua-verifier/credentials.json)" = "600" &&
+    sed -n "s/^Created the wallet \(0x[0-9a-f]*\) .*/\1/p" actual_output > default_address
+'
+
+test_expect_success 'Do not replace an existing wallet' '
+    test_must_fail $aqua credentials create > actual_output &&
+    grep -q "The profile default in .* already has a wallet" actual_output
+'
+
+test_expect_success 'Sign with the wallet of the config directory' '
+    $notarize README.md --sign cli &&
+    test "$(last_signer)" = "$(cat default_address)"
+'
+
+test_expect_success 'Sign with the wallet of a profile' '
+    $aqua credentials create --profile legal > actual_output &&
+    sed -n "s/^Created the wallet \(0x[0-9a-f]*\) .*/\1/p" actual_output > legal_address &&
+    ! test "$(cat legal_address)" = "$(cat default_address)" &&
+    $notarize README.md --sign cli --profile legal &&
+    test "$(last_signer)" = "$(cat legal_address)" &&
+    AQUA_PROFILE=legal $notarize README.md --sign cli &&
+    test "$(last_signer)" = "$(cat legal_address)"
+'
+
+test_expect_success 'List the profiles' '
+    $aqua credentials list > actual_output &&
+    grep -q "^default $(cat default_address) (encrypted)$" actual_output &&
+    grep -q "^legal $(cat legal_address) (encrypted)$" actual_output
+'
+
+test_expect_success 'Reject an unknown profile' '
+    test_must_fail $notarize README.md --sign cli --profile finance > actual_output &&
+    grep -q "There is no profile finance in .*. The profiles are: default, legal" actual_output
+'
+
+test_expect_success 'Read the credentials given with --credentials or AQUA_CREDENTIALS' '
+    $aqua credentials create --credentials team.json > actual_output &&
+    sed -n "s/^Created the wallet \(0x[0-9a-f]*\) .*/\1/p" actual_output > team_address &&
+    $notarize README.md --sign cli --credentials team.json &&
+    test "$(last_signer)" = "$(cat team_address)" &&
+    AQUA_CREDENTIALS=team.json $notarize README.md --sign cli &&
+    test "$(last_signer)" = "$(cat team_address)"
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -rf config &&
+    rm -f README.md README.md.aqua.json team.json &&
+    rm -f default_address legal_address team_address actual_output
+'
+
+test_done
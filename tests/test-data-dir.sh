@@ -0,0 +1,75 @@
+#!/bin/sh
+
+test_description='Test content resolution in a data directory'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    cp repo/README.md README.md &&
+    cp repo/LICENSE LICENSE &&
+    mkdir -p data/docs data/versions data/deps
+'
+
+test_expect_success 'Create AQUA file with two versions and a link' '
+    $notarize README.md &&
+    cp README.md data/versions/README-v1.md &&
+    echo "modified" >> README.md &&
+    $notarize README.md &&
+    $notarize LICENSE &&
+    $notarize --link LICENSE README.md
+'
+
+test_expect_success 'Move the files into the data directory' '
+    mv README.md data/docs/README.md &&
+    mv LICENSE data/deps/LICENSE &&
+    mv LICENSE.aqua.json data/deps/LICENSE.aqua.json
+'
+
+test_expect_success 'Report missing content without crashing' '
+    $verify README.md > actual_output &&
+    grep -q "Content unavailable for README.md" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Find the content by name and by hash in the data directory' '
+    $verify README.md --data-dir data > actual_output &&
+    grep -q "LICENSE .*: VERIFIED" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Report content that is not in the data directory' '
+    rm data/versions/README-v1.md &&
+    $verify README.md --data-dir data > actual_output &&
+    grep -q "Content unavailable for README.md: no file with hash" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Do not read files outside of the data directory' '
+    echo "outside" > outside.md &&
+    $notarize outside.md &&
+    sed "s|: \"outside.md\"|: \"../outside.md\"|" outside.md.aqua.json > escape.aqua.json &&
+    grep -q "\"../outside.md\"" escape.aqua.json &&
+    $verify escape.aqua.json --data-dir data > actual_output &&
+    grep -q "Content unavailable for ../outside.md" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Reject a missing data directory' '
+    test_must_fail $verify README.md --data-dir missing
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f outside.md &&
+    rm -f outside.md.aqua.json &&
+    rm -f escape.aqua.json &&
+    rm -rf data &&
+    rm -f actual_output
+'
+
+test_done
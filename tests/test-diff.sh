@@ -0,0 +1,93 @@
+#!/bin/sh
+
+test_description='Test comparing AQUA files'
+
+notarize="repo/notarize.js"
+aqua="repo/aqua.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md &&
+    cp repo/LICENSE LICENSE &&
+    echo "{\"name\": \"Alice\", \"age\": 30}" > form_a.json &&
+    echo "{\"name\": \"Bob\", \"age\": 30}" > form_b.json
+'
+
+test_expect_success 'Create two copies that diverge after the genesis' '
+    $notarize README.md &&
+    cp README.md.aqua.json base.aqua.json &&
+    $notarize README.md --form form_a.json &&
+    $notarize README.md --sign cli &&
+    cp README.md.aqua.json a.aqua.json &&
+    cp base.aqua.json README.md.aqua.json &&
+    $notarize README.md --form form_b.json &&
+    cp README.md.aqua.json b.aqua.json
+'
+
+test_expect_success 'Show the common ancestor and the revisions of each side' '
+    genesis=$(node -e "console.log(Object.keys(require(\"./base.aqua.json\").revisions)[0])") &&
+    $aqua diff a.aqua.json b.aqua.json > actual_output &&
+    grep -q "Common ancestor: $genesis" actual_output &&
+    grep -q "Only in a.aqua.json (2):" actual_output &&
+    grep -q "Only in b.aqua.json (1):" actual_output &&
+    grep -q "form_a.json\" -> (none)" actual_output &&
+    grep -q "forms_name: \"Alice\" -> \"Bob\"" actual_output &&
+    ! grep -q "forms_age" actual_output &&
+    ! grep -q "Tampered" actual_output
+'
+
+test_expect_success 'Compare two revisions of a chain' '
+    genesis=$(node -e "console.log(Object.keys(require(\"./base.aqua.json\").revisions)[0])") &&
+    $aqua diff a.aqua.json@$genesis a.aqua.json > actual_output &&
+    grep -q "Only in a.aqua.json (2):" actual_output &&
+    ! grep -q "Only in a.aqua.json@" actual_output
+'
+
+test_expect_success 'Report identical chains' '
+    $aqua diff a.aqua.json a.aqua.json > actual_output &&
+    grep -q "The chains are identical" actual_output
+'
+
+test_expect_success 'Flag a revision with the same hash but different data' '
+    node -e "
+const fs = require(\"fs\")
+const aquaObject = JSON.parse(fs.readFileSync(\"a.aqua.json\"))
+Object.values(aquaObject.revisions)[1].forms_age = 31
+fs.writeFileSync(\"tampered.aqua.json\", JSON.stringify(aquaObject))
+" &&
+    $aqua diff a.aqua.json tampered.aqua.json > actual_output &&
+    grep -q "Tampered revisions" actual_output &&
+    grep -q "0x[0-9a-f]*: forms_age" actual_output
+'
+
+test_expect_success 'Print the differences as JSON' '
+    $aqua diff a.aqua.json b.aqua.json --json > actual_output &&
+    grep -q "\"only_in_a\": \[" actual_output &&
+    grep -q "\"field\": \"forms_name\"" actual_output
+'
+
+test_expect_success 'Report chains with different genesis revisions' '
+    $notarize LICENSE &&
+    $aqua diff a.aqua.json LICENSE.aqua.json > actual_output &&
+    grep -q "No common ancestor" actual_output
+'
+
+test_expect_success 'Reject a revision that is not part of the chain' '
+    test_must_fail $aqua diff a.aqua.json@0x1234 b.aqua.json > actual_output &&
+    grep -q "not part of the chain" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json LICENSE.aqua.json &&
+    rm -f base.aqua.json a.aqua.json b.aqua.json tampered.aqua.json &&
+    rm -f README.md LICENSE form_a.json form_b.json &&
+    rm -f actual_output
+'
+
+test_done
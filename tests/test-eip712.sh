@@ -0,0 +1,86 @@
+#!/bin/sh
+
+test_description='Test the EIP-712 typed-data signatures'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+# Sets a field of the last revision and recomputes its verification hash, so
+# that only the signature fails, or also signs it again with --resign
+cat > tamper.mjs <<'SCRIPT'
+import * as fs from "fs"
+import { ethers } from "ethers"
+import * as main from "./repo/index.js"
+import { readCredentials } from "./repo/utils.js"
+const [fileName, field, value, resign] = process.argv.slice(2)
+const aquaObject = JSON.parse(fs.readFileSync(fileName, "utf8"))
+const hashes = Object.keys(aquaObject.revisions)
+const lastHash = hashes[hashes.length - 1]
+const revision = { ...aquaObject.revisions[lastHash], [field]: value }
+if (resign === "--resign") {
+  const { mnemonic } = await readCredentials()
+  const typedData = main.getEIP712TypedData(revision.previous_verification_hash, revision)
+  revision.signature = await ethers.Wallet.fromPhrase(mnemonic).signTypedData(
+    typedData.domain,
+    typedData.types,
+    typedData.message,
+  )
+}
+const newHash = main.getScalarVerificationHash(revision)
+delete aquaObject.revisions[lastHash]
+aquaObject.revisions[newHash] = revision
+fs.writeFileSync(fileName, JSON.stringify(aquaObject, null, 2))
+SCRIPT
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md &&
+    $notarize README.md
+'
+
+test_expect_success 'Sign with EIP-712 typed data' '
+    $notarize README.md --sign cli --signature-type eip-712 --purpose reviewer &&
+    grep -q "\"signature_type\": \"ethereum:eip-712\"" README.md.aqua.json &&
+    grep -q "\"signature_file_name\": \"README.md\"" README.md.aqua.json &&
+    grep -q "\"signature_purpose\": \"reviewer\"" README.md.aqua.json
+'
+
+test_expect_success 'Verify the EIP-712 signature' '
+    $verify README.md -v > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    grep -q "purpose \"reviewer\"" actual_output
+'
+
+test_expect_success 'Reject a changed purpose' '
+    cp README.md.aqua.json good.aqua.json &&
+    node tamper.mjs README.md.aqua.json signature_purpose "legal approval" &&
+    $verify README.md > actual_output &&
+    grep -q "Signature is invalid" actual_output &&
+    grep -q "Status: INVALID" actual_output &&
+    cp good.aqua.json README.md.aqua.json
+'
+
+test_expect_success 'Reject a genesis hash of another chain' '
+    node tamper.mjs README.md.aqua.json signature_genesis_hash 0x1234 --resign &&
+    $verify README.md > actual_output &&
+    grep -q "Status: INVALID" actual_output &&
+    grep -q "The signed genesis hash is not the genesis revision of the chain" actual_output &&
+    cp good.aqua.json README.md.aqua.json
+'
+
+test_expect_success 'Reject EIP-712 with a DID signature' '
+    test_must_fail $notarize README.md --sign did --signature-type eip-712 > actual_output &&
+    grep -q "requires --sign cli or --sign metamask" actual_output
+'
+
+test_expect_success 'Reject an unknown signature type' '
+    test_must_fail $notarize README.md --sign cli --signature-type eip-1 > actual_output &&
+    grep -q "Unsupported signature type eip-1" actual_output
+'
+
+test_done
@@ -3,6 +3,8 @@
 test_description='Test form notarization, verification, and updates'
 . ./tests/sharness/sharness.sh
 
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
 # Get the project root directory
 project_root=$(git rev-parse --show-toplevel)
 
@@ -14,7 +16,8 @@ example_form="${project_root}/tests/form_testdata/example-form.json"
 example_form_attestation="${project_root}/tests/form_testdata/example-form-attestation.json"
 
 test_expect_success 'Setup test environment' '
-    mkdir -p ${project_root}/tests/form_testdata 
+    mkdir -p ${project_root}/tests/form_testdata &&
+    ${project_root}/aqua.js credentials create > /dev/null
 '
 
 test_expect_success 'Verify test files exist' '
@@ -0,0 +1,105 @@
+#!/bin/sh
+
+test_description='Test revisions with different hash algorithms'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+# Prints the revision type and the hash algorithm of the last revision
+last_revision() {
+    node -e "
+        const revisions = Object.values(JSON.parse(require(\"fs\").readFileSync(\"$1\")).revisions)
+        const revision = revisions[revisions.length - 1]
+        console.log(revision.revision_type, revision.hash_algorithm)
+    "
+}
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md &&
+    cp repo/LICENSE LICENSE
+'
+
+test_expect_success 'Create SHA3-512 AQUA file for README.md' '
+    $notarize README.md --hash sha3-512 &&
+    grep -q "\"hash_algorithm\": \"sha3-512\"" README.md.aqua.json
+'
+
+test_expect_success 'Signature revision inherits the hash algorithm' '
+    $notarize README.md --sign cli &&
+    test $(grep -c "\"hash_algorithm\": \"sha3-512\"" README.md.aqua.json) -eq 2
+'
+
+test_expect_success 'Verify SHA3-512 README.md' '
+    $verify README.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Create merklized BLAKE3 AQUA file for LICENSE' '
+    $notarize LICENSE --hash blake3 --vtree &&
+    $verify LICENSE > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+# The witness needs network access to the TSA
+test_expect_success 'Witness chains of different hash algorithms together' '
+    $notarize README.md,LICENSE --witness tsa &&
+    test "$(last_revision README.md.aqua.json)" = "witness sha3-512" &&
+    test "$(last_revision LICENSE.aqua.json)" = "witness blake3" &&
+    $verify README.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    $verify LICENSE > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+# A chain of a hash algorithm that is only known to the caller
+cat > custom_algorithm.mjs <<'SCRIPT'
+import * as crypto from "crypto"
+import * as main from "./repo/index.js"
+const hashAlgorithms = { sha512: (content) => crypto.createHash("sha512").update(content).digest("hex") }
+const content = "custom"
+const revision = {
+  previous_verification_hash: "",
+  local_timestamp: "20250101000000",
+  revision_type: "file",
+  hash_algorithm: "sha512",
+  canonicalization: "jcs",
+  file_hash: hashAlgorithms.sha512(content),
+  file_nonce: "nonce",
+  content,
+}
+const verificationHash = main.getScalarVerificationHash(revision, hashAlgorithms)
+const aquaObject = {
+  revisions: { [verificationHash]: revision },
+  file_index: { [verificationHash]: "custom.txt" },
+}
+const withAlgorithm = await main.verifyAquaObject(aquaObject, { hashAlgorithms })
+const withoutAlgorithm = await main.verifyAquaObject(aquaObject)
+console.log(withAlgorithm.status, withoutAlgorithm.status, main.getHashAlgorithmNames().includes("sha512"))
+SCRIPT
+
+test_expect_success 'Verify with a hash algorithm of the caller only' '
+    node custom_algorithm.mjs > actual_output &&
+    test "$(cat actual_output)" = "VERIFIED INVALID false"
+'
+
+test_expect_success 'Reject an unsupported hash algorithm' '
+    test_must_fail $notarize LICENSE --hash md5
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f LICENSE.aqua.json &&
+    rm -f README.md &&
+    rm -f LICENSE &&
+    rm -f custom_algorithm.mjs &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,48 @@
+#!/bin/sh
+
+test_description='Test the JSON verification report'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md
+'
+
+test_expect_success 'Create AQUA file for README.md' '
+    $notarize README.md &&
+    test -f README.md.aqua.json
+'
+
+test_expect_success 'Sign README.md' '
+    $notarize README.md --sign cli
+'
+
+test_expect_success 'Print the JSON report' '
+    $verify README.md --json > actual_output &&
+    grep -q "\"status\": \"VERIFIED\"" actual_output &&
+    grep -q "\"signature_type\": \"ethereum:eip-191\"" actual_output &&
+    ! grep -q "Progress:" actual_output
+'
+
+test_expect_success 'Write the JSON report to a file' '
+    $verify README.md --output report.json &&
+    test -f report.json &&
+    grep -q "\"verified_count\": 2" report.json
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f README.md &&
+    rm -f report.json &&
+    rm -f actual_output
+'
+
+test_done
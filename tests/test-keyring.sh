@@ -0,0 +1,101 @@
+#!/bin/sh
+
+test_description='Test the keyring of trusted signers'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+aqua="repo/aqua.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md
+'
+
+test_expect_success 'Create a signed AQUA file' '
+    $notarize README.md &&
+    $notarize README.md --sign cli &&
+    node -e "
+const fs = require(\"fs\")
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+fs.writeFileSync(\"signer\", Object.values(aquaObject.revisions)[1].signature_wallet_address)
+"
+'
+
+test_expect_success 'Do not label signers without a keyring' '
+    $verify README.md > actual_output &&
+    ! grep -q "trusted" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Label a trusted signer' '
+    $aqua trust add $(cat signer) --label Alice &&
+    $aqua trust list > actual_output &&
+    grep -q "$(cat signer) Alice" actual_output &&
+    $verify README.md > actual_output &&
+    grep -q "trusted (Alice)" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Label a signer outside of the validity period' '
+    $aqua trust add $(cat signer) --label Alice --valid-until 2000-01-01 &&
+    $verify README.md > actual_output &&
+    grep -q "expired (Alice)" actual_output
+'
+
+test_expect_success 'Label an unknown signer' '
+    $aqua trust remove $(cat signer) &&
+    $verify README.md --json > actual_output &&
+    grep -q "\"trust\": \"unknown\"" actual_output
+'
+
+test_expect_success 'Reject an invalid signer' '
+    test_must_fail $aqua trust add 0x1234 --label Bob &&
+    test_must_fail $aqua trust add $(cat signer)
+'
+
+test_expect_success 'Report a failing keyring lookup as an error' '
+    node --input-type=module -e "
+import * as fs from \"fs\"
+import * as main from \"./repo/index.js\"
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+const keyring = { lookup: () => { throw new Error(\"The keyring is not readable\") } }
+const result = await main.verifyAquaObject(aquaObject, { keyring })
+const detail = result.revisions[1]
+console.log(detail.status.verification, detail.error_message)
+" > actual_output &&
+    test "$(cat actual_output)" = "ERROR Error: The keyring is not readable"
+'
+
+# The signature still matches the wallet address, but the revision presents
+# the public key of another wallet.
+test_expect_success 'Detect a public key of another wallet' '
+    node --input-type=module -e "
+import * as fs from \"fs\"
+import * as ethers from \"ethers\"
+import * as main from \"./repo/index.js\"
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+const [vh, revision] = Object.entries(aquaObject.revisions)[1]
+delete aquaObject.revisions[vh]
+revision.signature_public_key = ethers.Wallet.createRandom().publicKey
+aquaObject.revisions[main.getScalarVerificationHash(revision)] = revision
+fs.writeFileSync(\"README.md.aqua.json\", JSON.stringify(aquaObject, null, 2))
+" &&
+    $verify README.md > actual_output &&
+    grep -q "Signature public key does not match the wallet address" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f README.md &&
+    rm -f signer &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,105 @@
+#!/bin/sh
+
+test_description='Test the encryption of the credentials'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+aqua="repo/aqua.js"
+
+. ./tests/sharness/sharness.sh
+
+export AQUA_CREDENTIALS="$(pwd)/credentials.json"
+unset AQUA_PASSPHRASE AQUA_PROFILE
+
+mnemonic="cabbage shaft robot couch measure able cereal text escape marine firm unfair"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    cp repo/README.md README.md &&
+    $notarize README.md &&
+    echo "test passphrase" > passphrase
+'
+
+test_expect_success 'Encrypt a new wallet' '
+    AQUA_PASSPHRASE="test passphrase" $aqua credentials create > actual_output &&
+    sed -n "s/^Created the wallet \(0x[0-9a-f]*\) .*/\1/p" actual_output > address &&
+    ! grep -q "\"mnemonic\":" credentials.json &&
+    grep -q "\"keystore\"" credentials.json &&
+    grep -q "\"secrets\"" credentials.json
+'
+
+test_expect_success 'Sign with the passphrase of AQUA_PASSPHRASE' '
+    AQUA_PASSPHRASE="test passphrase" $notarize README.md --sign cli > actual_output &&
+    grep -q "Wallet address $(cat address)" actual_output &&
+    $verify README.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Sign with the passphrase of a file descriptor' '
+    echo "more" >> README.md &&
+    $notarize README.md &&
+    $notarize README.md --sign cli --passphrase-fd 3 3<passphrase > actual_output &&
+    grep -q "Wallet address $(cat address)" actual_output
+'
+
+test_expect_success 'Reject a wrong passphrase' '
+    test_must_fail env AQUA_PASSPHRASE=wrong $notarize README.md --sign cli > actual_output &&
+    grep -q "The passphrase of the credentials is wrong" actual_output
+'
+
+test_expect_success 'Require a passphrase without a terminal' '
+    test_must_fail $notarize README.md --sign cli < /dev/null > actual_output &&
+    grep -q "No passphrase of the credentials" actual_output
+'
+
+test_expect_success 'Do not print the private key' '
+    AQUA_PASSPHRASE="test passphrase" $notarize README.md --sign cli > actual_output &&
+    ! grep -q "0x[0-9a-f]\{64\}$" actual_output
+'
+
+test_expect_success 'Warn about plaintext credentials' '
+    cat > plain.json <<-EOF &&
+	{
+	    "mnemonic": "$mnemonic",
+	    "did:key": "",
+	    "nostr_sk": "",
+	    "profiles": {
+	        "legal": { "mnemonic": "$mnemonic", "did:key": "0102", "nostr_sk": "" }
+	    }
+	}
+	EOF
+    $notarize README.md --sign cli --credentials plain.json > actual_output 2>&1 &&
+    grep -q "The credentials in plain.json are not encrypted" actual_output
+'
+
+test_expect_success 'Encrypt plaintext credentials' '
+    $aqua credentials encrypt --credentials plain.json --passphrase-fd 3 3<passphrase > actual_output &&
+    grep -q "Encrypted the profiles default, legal in plain.json" actual_output &&
+    ! grep -q "$mnemonic" plain.json &&
+    ! grep -q "0102" plain.json &&
+    $aqua credentials encrypt --credentials plain.json --passphrase-fd 3 3<passphrase > actual_output &&
+    grep -q "There are no plaintext credentials in plain.json" actual_output
+'
+
+test_expect_success 'Sign with the encrypted profiles' '
+    AQUA_PASSPHRASE="test passphrase" $notarize README.md --sign cli --credentials plain.json --profile legal > actual_output 2>&1 &&
+    ! grep -q "not encrypted" actual_output &&
+    grep -q "Wallet address 0xbedee764d466817c7c5fd9f60d81d3de8c7c1949" actual_output &&
+    node --input-type=module -e "
+import { readCredentials } from \"./repo/utils.js\"
+const credentials = await readCredentials({
+  credentialsPath: \"plain.json\",
+  profile: \"legal\",
+  getPassphrase: async () => \"test passphrase\",
+})
+if (credentials.mnemonic !== \"$mnemonic\" || credentials[\"did:key\"] !== \"0102\") process.exit(1)
+"
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md README.md.aqua.json &&
+    rm -f credentials.json plain.json passphrase address actual_output
+'
+
+test_done
@@ -0,0 +1,168 @@
+#!/bin/sh
+
+test_description='Test verification of linked revisions'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md &&
+    cp repo/LICENSE LICENSE
+'
+
+test_expect_success 'Link a revision of LICENSE' '
+    $notarize README.md &&
+    $notarize LICENSE &&
+    $notarize LICENSE --sign cli &&
+    $notarize --link LICENSE README.md
+'
+
+test_expect_success 'Later revisions of the linked chain keep the link valid' '
+    $notarize LICENSE --sign cli &&
+    $verify README.md > actual_output &&
+    grep -q "LICENSE .*: VERIFIED" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Link the same chain twice' '
+    $notarize --link LICENSE README.md &&
+    $verify README.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Report the linked chains as a nested tree' '
+    $verify README.md --json > actual_output &&
+    grep -q "\"file_name\": \"LICENSE\"" actual_output &&
+    grep -q "\"report\": {" actual_output
+'
+
+test_expect_success 'Do not follow links beyond the maximum depth' '
+    $verify README.md --max-depth 0 > actual_output &&
+    grep -q "NOT_FOLLOWED" actual_output &&
+    grep -q "Status: LOCALLY_VERIFIED" actual_output
+'
+
+test_expect_success 'Detect a linked revision that is missing' '
+    $notarize LICENSE --rm &&
+    $verify README.md > actual_output &&
+    grep -q "not found" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Do not follow the links of a revision that does not match its hash' '
+    echo "A" > A.txt &&
+    echo "B" > B.txt &&
+    $notarize A.txt &&
+    $notarize B.txt &&
+    node -e "
+const fs = require(\"fs\")
+const link = (from, to) => {
+  const aquaObject = JSON.parse(fs.readFileSync(from + \".aqua.json\"))
+  const genesis = Object.keys(aquaObject.revisions)[0]
+  const target = \"0x\" + to.toLowerCase()[0].repeat(64)
+  aquaObject.revisions[\"0x\" + from.toLowerCase()[0].repeat(64)] = {
+    previous_verification_hash: genesis,
+    local_timestamp: \"20250101000000\",
+    revision_type: \"link\",
+    link_type: \"aqua\",
+    link_require_indepth_verification: true,
+    link_verification_hashes: [target],
+    link_file_hashes: [],
+  }
+  aquaObject.file_index[target] = to
+  fs.writeFileSync(from + \".aqua.json\", JSON.stringify(aquaObject))
+}
+link(\"A.txt\", \"B.txt\")
+link(\"B.txt\", \"A.txt\")
+" &&
+    $verify A.txt > actual_output &&
+    grep -q "Verification hash does not match" actual_output &&
+    ! grep -q "B.txt" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+# Hash-linked chains can't link each other in a cycle, so the verification
+# hashes of the link revisions are picked through a hash algorithm that reads
+# them from the revision. The arguments are the links of each chain, e.g.
+# A:B,C links the chains B and C from A, and the first chain is verified.
+cat > link_cycle.mjs <<'SCRIPT'
+import * as crypto from "crypto"
+import * as main from "./repo/index.js"
+const sha256 = (content) => crypto.createHash("sha256").update(content).digest("hex")
+const hashAlgorithms = {
+  picked: (content) => String(content).match(/"picked_hash":"0x(\w+)"/)?.[1] ?? sha256(content),
+}
+const linkHash = (name) => "0x" + sha256(`link ${name}`)
+const chains = {}
+for (const arg of process.argv.slice(2)) {
+  const [name, targets] = arg.split(":")
+  const genesis = {
+    previous_verification_hash: "",
+    local_timestamp: "20250101000000",
+    revision_type: "file",
+    file_hash: sha256(name),
+    file_nonce: "nonce",
+    content: name,
+  }
+  const genesisHash = main.getScalarVerificationHash(genesis)
+  const targetNames = targets.split(",")
+  chains[name] = {
+    revisions: {
+      [genesisHash]: genesis,
+      [linkHash(name)]: {
+        previous_verification_hash: genesisHash,
+        local_timestamp: "20250101000000",
+        revision_type: "link",
+        hash_algorithm: "picked",
+        picked_hash: linkHash(name),
+        link_type: "aqua",
+        link_require_indepth_verification: true,
+        link_verification_hashes: targetNames.map(linkHash),
+        link_file_hashes: [],
+      },
+    },
+    file_index: Object.fromEntries(targetNames.map((target) => [linkHash(target), target])),
+  }
+}
+const result = await main.verifyAquaObject(chains[process.argv[2].split(":")[0]], {
+  hashAlgorithms,
+  loadLinkedAquaObject: (fileName) => chains[fileName],
+})
+console.log(result.status, JSON.stringify(result).includes("Link cycle detected"))
+SCRIPT
+
+test_expect_success 'Detect a link cycle' '
+    timeout 60 node link_cycle.mjs A:B B:A > actual_output &&
+    test "$(cat actual_output)" = "INVALID true"
+'
+
+test_expect_success 'Detect a link cycle between two chains linked by the same chain' '
+    timeout 60 node link_cycle.mjs C:D,E D:E E:D > actual_output &&
+    test "$(cat actual_output)" = "INVALID true"
+'
+
+test_expect_success 'Reject an invalid maximum depth' '
+    test_must_fail $verify README.md --max-depth deep
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f LICENSE.aqua.json &&
+    rm -f A.txt.aqua.json &&
+    rm -f B.txt.aqua.json &&
+    rm -f README.md &&
+    rm -f LICENSE &&
+    rm -f A.txt &&
+    rm -f B.txt &&
+    rm -f link_cycle.mjs &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,80 @@
+#!/bin/sh
+
+test_description='Test merging divergent copies of an AQUA chain'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+aqua="repo/aqua.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md &&
+    cp repo/LICENSE LICENSE &&
+    echo "{\"name\": \"Alice\"}" > form_a.json &&
+    echo "{\"name\": \"Bob\"}" > form_b.json
+'
+
+test_expect_success 'Create two copies that diverge after the genesis' '
+    $notarize README.md &&
+    cp README.md.aqua.json base.aqua.json &&
+    $notarize README.md --form form_a.json &&
+    $notarize README.md --sign cli &&
+    cp README.md.aqua.json a.aqua.json &&
+    cp base.aqua.json README.md.aqua.json &&
+    $notarize README.md --form form_b.json &&
+    cp README.md.aqua.json b.aqua.json
+'
+
+test_expect_success 'Merge both copies into a new file' '
+    $aqua merge a.aqua.json b.aqua.json --output merged.aqua.json > actual_output &&
+    grep -q "Merged 1 revisions of b.aqua.json into merged.aqua.json" actual_output &&
+    grep -q "\"treeMapping\"" merged.aqua.json &&
+    $verify merged.aqua.json > actual_output &&
+    grep -q "2 branches" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Merge into the first file' '
+    cp a.aqua.json c.aqua.json &&
+    $aqua merge c.aqua.json b.aqua.json &&
+    $aqua diff c.aqua.json merged.aqua.json > actual_output &&
+    grep -q "The chains are identical" actual_output
+'
+
+test_expect_success 'Merge a copy that is already included' '
+    $aqua merge merged.aqua.json base.aqua.json > actual_output &&
+    grep -q "Merged 0 revisions" actual_output
+'
+
+test_expect_success 'Refuse chains with different genesis revisions' '
+    $notarize LICENSE &&
+    test_must_fail $aqua merge a.aqua.json LICENSE.aqua.json > actual_output &&
+    grep -q "different genesis revisions" actual_output
+'
+
+test_expect_success 'Refuse a copy that fails verification' '
+    node -e "
+const fs = require(\"fs\")
+const aquaObject = JSON.parse(fs.readFileSync(\"b.aqua.json\"))
+Object.values(aquaObject.revisions)[1].forms_name = \"Eve\"
+fs.writeFileSync(\"tampered.aqua.json\", JSON.stringify(aquaObject))
+" &&
+    test_must_fail $aqua merge a.aqua.json tampered.aqua.json > actual_output &&
+    grep -q "tampered.aqua.json failed verification with status INVALID" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json LICENSE.aqua.json &&
+    rm -f base.aqua.json a.aqua.json b.aqua.json c.aqua.json &&
+    rm -f merged.aqua.json tampered.aqua.json &&
+    rm -f README.md LICENSE form_a.json form_b.json &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,64 @@
+#!/bin/sh
+
+test_description='Test forms with nested values'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+form_updater="repo/form_updater.js"
+
+. ./tests/sharness/sharness.sh
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    cat > nested-form.json <<-EOF
+	{
+	  "name": "kenn",
+	  "address": { "street": "Main 1", "city": "Berlin" },
+	  "items": [{ "name": "apple", "qty": 2 }, "pear"],
+	  "tags": []
+	}
+	EOF
+'
+
+test_expect_success 'Notarize a nested form' '
+    $notarize nested-form.json --form nested-form.json &&
+    grep -q "\"forms_address.city\": \"Berlin\"" nested-form.json.aqua.json &&
+    grep -q "\"forms_items.0.qty\": 2" nested-form.json.aqua.json &&
+    grep -q "\"forms_tags\": \[\]" nested-form.json.aqua.json
+'
+
+test_expect_success 'Verify the nested form' '
+    $verify nested-form.json > actual_output &&
+    grep -q "forms_items.1: pear" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Detect a value changed from number to string' '
+    sed "s/\"forms_items.0.qty\": 2/\"forms_items.0.qty\": \"2\"/" nested-form.json.aqua.json > tampered.aqua.json &&
+    $verify tampered.aqua.json > actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Delete a nested field' '
+    $form_updater nested-form.json.aqua.json --delete address.city &&
+    $verify nested-form.json > actual_output &&
+    grep -q "forms_address.city" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Reject a field clashing with the deletion marker' '
+    echo "{\"age.deleted\": 1}" > clashing-form.json &&
+    test_must_fail $notarize clashing-form.json --form clashing-form.json
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f nested-form.json.aqua.json &&
+    rm -f nested-form.json &&
+    rm -f clashing-form.json &&
+    rm -f clashing-form.json.aqua.json &&
+    rm -f tampered.aqua.json &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,69 @@
+#!/bin/sh
+
+test_description='Test offline verification of witnessed chains'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    cp repo/README.md README.md
+'
+
+# Witnessing needs network access, hence the witness revision is appended
+# directly. Its transaction does not exist.
+test_expect_success 'Create AQUA file with an Ethereum witness' '
+    $notarize README.md &&
+    node --input-type=module -e "
+import * as fs from \"fs\"
+import * as main from \"./repo/index.js\"
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+const previous = Object.keys(aquaObject.revisions).pop()
+const witness = {
+  previous_verification_hash: previous,
+  local_timestamp: \"20250101000000\",
+  revision_type: \"witness\",
+  hash_algorithm: \"sha256\",
+  canonicalization: \"jcs\",
+  witness_merkle_root: previous,
+  witness_timestamp: 1735689600,
+  witness_network: \"sepolia\",
+  witness_smart_contract_address: \"0x45f59310ADD88E6d23ca58A0Fa7A55BEE6d2a611\",
+  witness_transaction_hash: \"0x\" + \"0\".repeat(64),
+  witness_sender_account_address: \"0x\" + \"0\".repeat(40),
+  witness_merkle_proof: [previous],
+}
+aquaObject.revisions[main.getScalarVerificationHash(witness)] = witness
+fs.writeFileSync(\"README.md.aqua.json\", JSON.stringify(aquaObject, null, 2))
+"
+'
+
+test_expect_success 'Verify offline' '
+    $verify README.md --offline > actual_output &&
+    grep -q "unchecked: witness" actual_output &&
+    grep -q "Status: LOCALLY_VERIFIED" actual_output
+'
+
+test_expect_success 'Report unchecked witnesses as JSON' '
+    $verify README.md --offline --json > actual_output &&
+    grep -q "\"unchecked_count\": 1" actual_output &&
+    grep -q "\"status\": \"LOCALLY_VERIFIED\"" actual_output
+'
+
+test_expect_success 'Detect a modified file offline' '
+    echo "modified" >> README.md &&
+    $verify README.md --offline > actual_output &&
+    grep -q "File hash does not match" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f README.md &&
+    rm -f actual_output
+'
+
+test_done
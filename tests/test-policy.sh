@@ -0,0 +1,114 @@
+#!/bin/sh
+
+test_description='Test verification policies'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md
+'
+
+# Witnessing needs network access, hence the witness revision is appended
+# directly and the chain is verified offline. Its transaction does not exist.
+test_expect_success 'Create a signed and witnessed AQUA file' '
+    $notarize README.md &&
+    $notarize README.md --sign cli &&
+    node --input-type=module -e "
+import * as fs from \"fs\"
+import * as main from \"./repo/index.js\"
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+const revisions = Object.values(aquaObject.revisions)
+const previous = Object.keys(aquaObject.revisions).pop()
+const witness = {
+  previous_verification_hash: previous,
+  local_timestamp: revisions[0].local_timestamp,
+  revision_type: \"witness\",
+  hash_algorithm: \"sha256\",
+  canonicalization: \"jcs\",
+  witness_merkle_root: previous,
+  witness_timestamp: Math.floor(Date.now() / 1000) + Number(process.argv[1]),
+  witness_network: \"sepolia\",
+  witness_smart_contract_address: \"0x45f59310ADD88E6d23ca58A0Fa7A55BEE6d2a611\",
+  witness_transaction_hash: \"0x\" + \"0\".repeat(64),
+  witness_sender_account_address: \"0x\" + \"0\".repeat(40),
+  witness_merkle_proof: [previous],
+}
+aquaObject.revisions[main.getScalarVerificationHash(witness)] = witness
+fs.writeFileSync(\"README.md.aqua.json\", JSON.stringify(aquaObject, null, 2))
+fs.writeFileSync(\"signer\", revisions[1].signature_wallet_address)
+" 60
+'
+
+test_expect_success 'Pass a policy that the chain satisfies' '
+    cat > policy.json <<-EOF &&
+	{
+	  "required_signers": ["$(cat signer)"],
+	  "min_signatures": 1,
+	  "witness_networks": ["sepolia", "mainnet"],
+	  "max_witness_delay": 86400
+	}
+	EOF
+    $verify README.md --offline --policy policy.json > actual_output &&
+    grep -q "Status: LOCALLY_VERIFIED" actual_output &&
+    grep -q "required_signers: Every required signer has signed" actual_output &&
+    grep -q "Policy: UNCHECKED" actual_output
+'
+
+test_expect_success 'Fail the signer rules' '
+    cat > policy.json <<-EOF &&
+	{
+	  "required_signers": ["0x$(printf "%040d" 1)"],
+	  "min_signatures": 2
+	}
+	EOF
+    $verify README.md --offline --policy policy.json > actual_output &&
+    grep -q "Status: LOCALLY_VERIFIED" actual_output &&
+    grep -q "Missing signatures of 0x0*1" actual_output &&
+    grep -q "min_signatures: 1 of 2 distinct signers" actual_output &&
+    grep -q "Policy: FAILED" actual_output
+'
+
+test_expect_success 'Fail the witness rules' '
+    cat > policy.json <<-EOF &&
+	{
+	  "witness_networks": ["mainnet"],
+	  "max_witness_delay": 0
+	}
+	EOF
+    $verify README.md --offline --policy policy.json > actual_output &&
+    grep -q "No witness on mainnet" actual_output &&
+    grep -q "Not witnessed within 0 seconds" actual_output &&
+    grep -q "Policy: FAILED" actual_output
+'
+
+test_expect_success 'Report the policy rules as JSON' '
+    $verify README.md --offline --policy policy.json --json > actual_output &&
+    grep -q "\"status\": \"LOCALLY_VERIFIED\"" actual_output &&
+    grep -q "\"rule\": \"witness_networks\"" actual_output &&
+    grep -q "\"status\": \"FAILED\"" actual_output
+'
+
+test_expect_success 'Reject an invalid policy file' '
+    echo "{\"min_signatures\": \"two\", \"signers\": []}" > policy.json &&
+    test_must_fail $verify README.md --policy policy.json > actual_output &&
+    grep -q "/min_signatures: must be integer" actual_output &&
+    grep -q "must NOT have additional properties signers" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f README.md &&
+    rm -f policy.json &&
+    rm -f signer &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,133 @@
+#!/bin/sh
+
+test_description='Test notarizing a directory tree'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    mkdir -p release/docs release/.git &&
+    echo "archive" > release/app.tar.gz &&
+    echo "checksums" > release/SHA256SUMS &&
+    echo "guide" > release/docs/guide.md &&
+    echo "build log" > release/build.log &&
+    echo "ref" > release/.git/HEAD
+'
+
+test_expect_success 'Notarize a directory tree without the excluded files' '
+    $notarize --recursive release --exclude "*.log" > actual_output &&
+    grep -q "Created 3 revisions, 0 unchanged files skipped" actual_output &&
+    test -f release/app.tar.gz.aqua.json &&
+    test -f release/SHA256SUMS.aqua.json &&
+    test -f release/docs/guide.md.aqua.json &&
+    test ! -f release/build.log.aqua.json &&
+    test ! -f release/.git/HEAD.aqua.json
+'
+
+test_expect_success 'Verify the created chains' '
+    $verify release/app.tar.gz > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    $verify release/docs/guide.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'List the created revisions in the manifest' '
+    node -e "
+const manifest = JSON.parse(require(\"fs\").readFileSync(\"aqua-manifest.json\"))
+const files = manifest.revisions.map((r) => r.file).join(\",\")
+if (files !== \"release/SHA256SUMS,release/app.tar.gz,release/docs/guide.md\") process.exit(1)
+if (manifest.revisions.some((r) => r.revision_type !== \"file\" || r.previous_verification_hash !== \"\")) process.exit(1)
+const aquaObject = JSON.parse(require(\"fs\").readFileSync(\"release/app.tar.gz.aqua.json\"))
+if (!(manifest.revisions[1].verification_hash in aquaObject.revisions)) process.exit(1)
+"
+'
+
+test_expect_success 'Skip the unchanged files' '
+    echo "archive 2" > release/app.tar.gz &&
+    $notarize --recursive release --exclude "*.log" --manifest second.json > actual_output &&
+    grep -q "Created 1 revisions, 2 unchanged files skipped" actual_output &&
+    grep -q "\"release/SHA256SUMS\"" second.json &&
+    test "$(grep -c "\"file\":" second.json)" = "1" &&
+    grep -q "\"previous_verification_hash\": \"0x" second.json
+'
+
+test_expect_success 'Notarize a file that goes back to an earlier content' '
+    echo "archive" > release/app.tar.gz &&
+    $notarize --recursive release --exclude "*.log" --manifest third.json > actual_output &&
+    grep -q "Created 1 revisions, 2 unchanged files skipped" actual_output &&
+    test "$(grep -c "\"file\": \"release/app.tar.gz\"" third.json)" = "1"
+'
+
+test_expect_success 'Only notarize the included files' '
+    $notarize --recursive release --include "docs/**" --include "*.log" > actual_output &&
+    grep -q "Created 1 revisions, 1 unchanged files skipped" actual_output &&
+    test -f release/build.log.aqua.json
+'
+
+test_expect_success 'Reject options that need a single file' '
+    test_must_fail $notarize --recursive release --sign cli > actual_output &&
+    grep -q "can only be combined with" actual_output &&
+    test_must_fail $notarize --recursive missing > actual_output &&
+    grep -q "missing is not a directory" actual_output
+'
+
+# Witnessing needs network access, hence the aggregated witness is appended
+# directly, as notarize.js --recursive --witness does. Its transaction does
+# not exist.
+cat > add_witness.mjs <<'SCRIPT'
+import * as fs from "fs"
+import { MerkleTree } from "merkletreejs"
+import * as main from "./repo/index.js"
+const files = ["release/SHA256SUMS.aqua.json", "release/app.tar.gz.aqua.json"]
+const aquaObjects = files.map((file) => JSON.parse(fs.readFileSync(file)))
+const heads = aquaObjects.map((aquaObject) => Object.keys(aquaObject.revisions).pop())
+const tree = new MerkleTree(heads, main.getMerkleHashFunction("sha256"), { duplicateOdd: false })
+const root = process.argv[2] === "wrong-root" ? heads[0] : tree.getHexRoot()
+for (const [idx, aquaObject] of aquaObjects.entries()) {
+  const witness = {
+    previous_verification_hash: heads[idx],
+    local_timestamp: "20250101000000",
+    revision_type: "witness",
+    hash_algorithm: "sha256",
+    canonicalization: "jcs",
+    witness_merkle_root: root,
+    witness_timestamp: 1735689600,
+    witness_network: "sepolia",
+    witness_smart_contract_address: "0x45f59310ADD88E6d23ca58A0Fa7A55BEE6d2a611",
+    witness_transaction_hash: "0x" + "0".repeat(64),
+    witness_sender_account_address: "0x" + "0".repeat(40),
+    witness_merkle_proof: heads,
+  }
+  aquaObject.revisions[main.getScalarVerificationHash(witness)] = witness
+  fs.writeFileSync(files[idx], JSON.stringify(aquaObject, null, 2))
+}
+SCRIPT
+
+test_expect_success 'Verify an aggregated witness offline' '
+    cp release/SHA256SUMS.aqua.json SHA256SUMS.aqua.json.bak &&
+    cp release/app.tar.gz.aqua.json app.tar.gz.aqua.json.bak &&
+    node add_witness.mjs &&
+    $verify release/SHA256SUMS --offline > actual_output &&
+    grep -q "Status: LOCALLY_VERIFIED" actual_output
+'
+
+test_expect_success 'Reject an aggregated witness of other revisions' '
+    cp SHA256SUMS.aqua.json.bak release/SHA256SUMS.aqua.json &&
+    cp app.tar.gz.aqua.json.bak release/app.tar.gz.aqua.json &&
+    node add_witness.mjs wrong-root &&
+    $verify release/SHA256SUMS --offline > actual_output &&
+    grep -q "does not cover the previous revision" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -rf release &&
+    rm -f aqua-manifest.json second.json third.json add_witness.mjs *.bak &&
+    rm -f actual_output
+'
+
+test_done
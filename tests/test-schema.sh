@@ -0,0 +1,70 @@
+#!/bin/sh
+
+test_description='Test validation of AQUA files against the JSON Schema'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    cp repo/README.md README.md &&
+    cat > edit_aqua_file.js <<-EOF
+	import * as fs from "fs"
+	const aquaObject = JSON.parse(fs.readFileSync("README.md.aqua.json"))
+	const hashes = Object.keys(aquaObject.revisions)
+	const edit = new Function("aquaObject", "hashes", process.argv[2])
+	edit(aquaObject, hashes)
+	fs.writeFileSync("README.md.aqua.json", JSON.stringify(aquaObject))
+	EOF
+'
+
+test_expect_success 'Validate a notarized file' '
+    $notarize README.md &&
+    $notarize README.md --sign cli &&
+    $verify README.md --validate-only > actual_output &&
+    grep -q "README.md.aqua.json is a valid AQUA file" actual_output
+'
+
+test_expect_success 'Report a missing file_index' '
+    cp README.md.aqua.json valid.aqua.json &&
+    node edit_aqua_file.js "delete aquaObject.file_index" &&
+    test_must_fail $verify README.md --validate-only > actual_output &&
+    grep -q "is not a valid AQUA file" actual_output &&
+    grep -q "/: must have required property .file_index." actual_output
+'
+
+test_expect_success 'Report an unknown revision type with its path' '
+    cp valid.aqua.json README.md.aqua.json &&
+    node edit_aqua_file.js "aquaObject.revisions[hashes[0]].revision_type = \"note\"" &&
+    test_must_fail $verify README.md --validate-only > actual_output &&
+    grep -q "/revisions/0x[0-9a-f]*/revision_type: must be equal to one of the allowed values" actual_output
+'
+
+test_expect_success 'Report a missing signature field' '
+    cp valid.aqua.json README.md.aqua.json &&
+    node edit_aqua_file.js "delete aquaObject.revisions[hashes[1]].signature_public_key" &&
+    test_must_fail $verify README.md --validate-only > actual_output &&
+    grep -q "/revisions/0x[0-9a-f]*: must have required property .signature_public_key." actual_output
+'
+
+test_expect_success 'Reject an invalid file before verification' '
+    test_must_fail $verify README.md > actual_output &&
+    grep -q "is not a valid AQUA file" actual_output &&
+    ! grep -q "Status:" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    rm -f README.md.aqua.json &&
+    rm -f valid.aqua.json &&
+    rm -f README.md &&
+    rm -f edit_aqua_file.js &&
+    rm -f actual_output
+'
+
+test_done
@@ -0,0 +1,156 @@
+#!/bin/sh
+
+test_description='Test the SSH signatures'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+# An ssh-agent of the test only, stopped at the end
+export SSH_AUTH_SOCK="$(pwd)/agent.sock"
+SSH_AGENT_PID=$(ssh-agent -s -a "$SSH_AUTH_SOCK" | sed -n "s/^SSH_AGENT_PID=\([0-9]*\);.*/\1/p")
+
+# Sets a field of the last revision and recomputes its verification hash
+cat > tamper.mjs <<'SCRIPT'
+import * as fs from "fs"
+import * as main from "./repo/index.js"
+const [fileName, field, value] = process.argv.slice(2)
+const aquaObject = JSON.parse(fs.readFileSync(fileName, "utf8"))
+const hashes = Object.keys(aquaObject.revisions)
+const lastHash = hashes[hashes.length - 1]
+const revision = { ...aquaObject.revisions[lastHash], [field]: value }
+delete aquaObject.revisions[lastHash]
+aquaObject.revisions[main.getScalarVerificationHash(revision)] = revision
+fs.writeFileSync(fileName, JSON.stringify(aquaObject, null, 2))
+SCRIPT
+
+# Prints a field of the last revision
+cat > field.mjs <<'SCRIPT'
+import * as fs from "fs"
+const [fileName, field] = process.argv.slice(2)
+const aquaObject = JSON.parse(fs.readFileSync(fileName, "utf8"))
+process.stdout.write(Object.values(aquaObject.revisions).pop()[field])
+SCRIPT
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    cp repo/README.md README.md &&
+    $notarize README.md &&
+    ssh-keygen -q -t ed25519 -N "" -C alice -f alice &&
+    ssh-keygen -q -t rsa -N "" -C bob -f bob &&
+    ssh-keygen -q -t ecdsa -N "" -C carol -f carol &&
+    ssh-keygen -q -t ed25519 -N "secret" -C dave -f dave &&
+    echo "alice@example.com namespaces=\"aqua\" $(cat alice.pub)" > allowed_signers &&
+    echo "bob@example.com namespaces=\"git\" $(cat bob.pub)" >> allowed_signers &&
+    echo "carol@example.com valid-before=\"20000101Z\" $(cat carol.pub)" >> allowed_signers &&
+    echo "dave@example.com $(cat dave.pub)" >> allowed_signers &&
+    touch no_signers
+'
+
+test_expect_success 'Sign with an ed25519 key' '
+    $notarize README.md --sign ssh --ssh-key alice > actual_output &&
+    grep -q "Signed with the SSH key $(ssh-keygen -lf alice.pub | cut -d " " -f 2)" actual_output &&
+    grep -q "\"signature_type\": \"ssh:sshsig\"" README.md.aqua.json
+'
+
+test_expect_success 'Verify the signature against the allowed signers' '
+    $verify README.md -v --allowed-signers allowed_signers > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    ! grep -q "trusted" actual_output
+'
+
+test_expect_success 'Label the signer with the keyring' '
+    repo/aqua.js trust add "$(ssh-keygen -lf alice.pub | cut -d " " -f 2)" --label Alice --keyring keyring.json &&
+    $verify README.md -v --allowed-signers allowed_signers --keyring keyring.json > actual_output &&
+    grep -q "trusted (Alice)" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Verify the signature with ssh-keygen' '
+    node field.mjs README.md.aqua.json signature > signature &&
+    printf "I sign this revision: [%s]" "$(node field.mjs README.md.aqua.json previous_verification_hash)" > message &&
+    ssh-keygen -Y verify -f allowed_signers -I alice@example.com -n aqua -s signature < message
+'
+
+test_expect_success 'Reject a key that is not an allowed signer' '
+    $verify README.md --allowed-signers no_signers > actual_output &&
+    grep -q "is not an allowed signer of no_signers" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Reject a signature of another revision' '
+    echo "other" > other.md &&
+    $notarize other.md &&
+    $notarize other.md --sign ssh --ssh-key alice &&
+    cp README.md.aqua.json good.aqua.json &&
+    node tamper.mjs README.md.aqua.json signature "$(node field.mjs other.md.aqua.json signature)" &&
+    $verify README.md --allowed-signers allowed_signers > actual_output &&
+    grep -q "Signature is invalid" actual_output &&
+    grep -q "Status: INVALID" actual_output &&
+    cp good.aqua.json README.md.aqua.json
+'
+
+test_expect_success 'Reject an allowed signer of another namespace' '
+    echo "bob" > bob.md &&
+    $notarize bob.md &&
+    $notarize bob.md --sign ssh --ssh-key bob &&
+    $verify bob.md --allowed-signers allowed_signers > actual_output &&
+    grep -q "is not an allowed signer" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Reject an allowed signer that expired before signing' '
+    echo "carol" > carol.md &&
+    $notarize carol.md &&
+    $notarize carol.md --sign ssh --ssh-key carol &&
+    $verify carol.md --allowed-signers allowed_signers > actual_output &&
+    grep -q "is not an allowed signer" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Sign with an encrypted key in the ssh-agent' '
+    echo "dave" > dave.md &&
+    $notarize dave.md &&
+    test_must_fail $notarize dave.md --sign ssh --ssh-key dave > actual_output &&
+    grep -q "add it with ssh-add" actual_output &&
+    printf "#!/bin/sh\necho secret\n" > askpass &&
+    chmod +x askpass &&
+    SSH_ASKPASS=./askpass SSH_ASKPASS_REQUIRE=force ssh-add dave 2> /dev/null &&
+    $notarize dave.md --sign ssh --ssh-key dave &&
+    $verify dave.md --allowed-signers allowed_signers > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Sign with a public key in the ssh-agent' '
+    echo "more" > agent.md &&
+    $notarize agent.md &&
+    $notarize agent.md --sign ssh --ssh-key dave.pub &&
+    $verify agent.md --allowed-signers allowed_signers > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Reject an encrypted key without ssh-agent' '
+    test_must_fail env SSH_AUTH_SOCK= $notarize dave.md --sign ssh --ssh-key dave > actual_output &&
+    grep -q "SSH_AUTH_SOCK is not set" actual_output
+'
+
+test_expect_success 'Reject an ssh-agent that closes the connection without a reply' '
+    node -e "require(\"net\").createServer((c) => c.end()).listen(\"closing.sock\")" &
+    closing_pid=$! &&
+    for i in $(seq 1 50); do test -S closing.sock && break; sleep 0.1; done &&
+    test_must_fail env SSH_AUTH_SOCK="$(pwd)/closing.sock" $notarize dave.md --sign ssh --ssh-key dave > actual_output
+    status=$?
+    kill "$closing_pid" &&
+    test "$status" -eq 0 &&
+    grep -q "closed the connection without a reply" actual_output
+'
+
+test_expect_success 'Require the key of --sign ssh' '
+    test_must_fail $notarize README.md --sign ssh > actual_output &&
+    grep -q "requires --ssh-key" actual_output
+'
+
+kill "$SSH_AGENT_PID"
+
+test_done
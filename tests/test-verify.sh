@@ -33,6 +33,30 @@ test_expect_success 'Verify the output of verify.js' '
     fi
 '
 
+test_expect_success 'Verify after the keys of every revision are reordered' '
+    node -e "
+const fs = require(\"fs\")
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+for (const vh in aquaObject.revisions) {
+  const entries = Object.entries(aquaObject.revisions[vh]).reverse()
+  aquaObject.revisions[vh] = Object.fromEntries(entries)
+}
+fs.writeFileSync(\"README.md.aqua.json\", JSON.stringify(aquaObject))
+" &&
+    $verify README.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Verify the offline_data input of verifyPage' '
+    node --input-type=module -e "
+import * as fs from \"fs\"
+import * as main from \"./repo/index.js\"
+const aquaObject = JSON.parse(fs.readFileSync(\"README.md.aqua.json\"))
+const [status, details] = await main.verifyPage({ offline_data: aquaObject }, false, false)
+console.log(status, details.revision_details.length)
+" > actual_output &&
+    grep -q "^VERIFIED 1$" actual_output
+'
 
 # Cleanup
 test_expect_success 'Cleanup test files' '
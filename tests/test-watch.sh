@@ -0,0 +1,120 @@
+#!/bin/sh
+
+test_description='Test notarizing files whenever they change'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
+# Waits up to 20 seconds until the AQUA file of $1 has $2 revisions
+wait_for_revisions() {
+    for i in $(seq 1 100); do
+        if test -f "$1.aqua.json" &&
+            test "$(node -e "console.log(Object.keys(JSON.parse(require(\"fs\").readFileSync(\"$1.aqua.json\")).revisions).length)")" = "$2"; then
+            return 0
+        fi
+        sleep 0.2
+    done
+    return 1
+}
+
+stop_watching() {
+    if test -f watch.pid; then
+        kill "$(cat watch.pid)" 2>/dev/null
+        rm -f watch.pid
+    fi
+}
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
+    echo "first" > note.md &&
+    mkdir -p docs/drafts &&
+    echo "guide" > docs/guide.md &&
+    echo "scratch" > docs/scratch.tmp
+'
+
+test_expect_success 'Notarize the watched files on start' '
+    { $notarize --watch note.md,docs --exclude "*.tmp" --debounce 200 > watch_output 2>&1 & echo $! > watch.pid; } &&
+    wait_for_revisions note.md 1 &&
+    wait_for_revisions docs/guide.md 1 &&
+    test ! -f docs/scratch.tmp.aqua.json
+'
+
+test_expect_success 'Append a file revision when a file changes' '
+    echo "second" >> note.md &&
+    wait_for_revisions note.md 2 &&
+    echo "draft" > docs/drafts/new.md &&
+    wait_for_revisions docs/drafts/new.md 1
+'
+
+test_expect_success 'Debounce successive edits' '
+    echo "third" >> note.md &&
+    echo "fourth" >> note.md &&
+    echo "fifth" >> note.md &&
+    wait_for_revisions note.md 3 &&
+    sleep 1 &&
+    wait_for_revisions note.md 3
+'
+
+test_expect_success 'Skip the changes that keep the content' '
+    touch note.md &&
+    echo "guide" > docs/guide.md &&
+    sleep 1 &&
+    wait_for_revisions note.md 3 &&
+    wait_for_revisions docs/guide.md 1
+'
+
+test_expect_success 'Stop watching on SIGTERM' '
+    pid=$(cat watch.pid) &&
+    kill $pid &&
+    rm -f watch.pid &&
+    for i in $(seq 1 50); do kill -0 $pid 2>/dev/null || break; sleep 0.2; done &&
+    ! kill -0 $pid 2>/dev/null &&
+    grep -q "Watching note.md, docs for changes" watch_output
+'
+
+# The earlier revisions of note.md are of an earlier content, hence only the
+# chains with a single file revision verify
+test_expect_success 'Verify the watched chains' '
+    $verify docs/guide.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    $verify docs/drafts/new.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Sign every new file revision' '
+    echo "signed" > signed.md &&
+    { $notarize --watch signed.md --sign cli --debounce 200 > watch_output 2>&1 & echo $! > watch.pid; } &&
+    wait_for_revisions signed.md 2 &&
+    $verify signed.md > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    echo "signed again" >> signed.md &&
+    wait_for_revisions signed.md 4 &&
+    stop_watching &&
+    node -e "
+const revisions = Object.values(JSON.parse(require(\"fs\").readFileSync(\"signed.md.aqua.json\")).revisions)
+const types = revisions.map((revision) => revision.revision_type).join(\",\")
+if (types !== \"file,signature,file,signature\") process.exit(1)
+"
+'
+
+test_expect_success 'Only sign with the cli wallet' '
+    test_must_fail $notarize --watch note.md --sign metamask > actual_output &&
+    grep -q "can only sign with --sign cli" actual_output &&
+    test_must_fail $notarize --watch missing.md > actual_output &&
+    grep -q "missing.md does not exist" actual_output
+'
+
+# Cleanup
+test_expect_success 'Cleanup test files' '
+    stop_watching
+    rm -rf docs &&
+    rm -f note.md note.md.aqua.json signed.md signed.md.aqua.json &&
+    rm -f watch_output actual_output
+'
+
+test_done
@@ -7,9 +7,12 @@ verify="repo/verify.js"
 
 . ./tests/sharness/sharness.sh
 
+. "$(git rev-parse --show-toplevel)/tests/lib/credentials.sh"
+
 
 test_expect_success 'Setup test environment' '
     ln -s $(git rev-parse --show-toplevel) ./repo &&
+    repo/aqua.js credentials create > /dev/null &&
     cp repo/README.md README.md &&
     cp repo/LICENSE LICENSE &&
     cp repo/notarize.js notarize.js
@@ -0,0 +1,246 @@
+#!/bin/sh
+
+test_description='Test the X.509 CMS signatures'
+
+notarize="repo/notarize.js"
+verify="repo/verify.js"
+
+. ./tests/sharness/sharness.sh
+
+unset AQUA_X509_PASSWORD
+
+# Creates a CA certificate and a signing certificate issued by it
+create_ca() {
+    openssl req -x509 -newkey ec -pkeyopt ec_paramgen_curve:P-256 -nodes \
+        -keyout "$1.key" -out "$1.pem" -days 3650 -subj "/CN=$1" \
+        -addext "basicConstraints=critical,CA:TRUE" \
+        -addext "keyUsage=critical,keyCertSign,cRLSign" 2> /dev/null
+}
+create_signer() {
+    openssl req -newkey rsa:2048 -nodes -keyout "$1.key" -out "$1.csr" -subj "$3" 2> /dev/null &&
+    printf "basicConstraints=CA:FALSE\n%s\n" "${4:-keyUsage=critical,digitalSignature,nonRepudiation}" > signer.ext &&
+    openssl x509 -req -in "$1.csr" -CA "$2.pem" -CAkey "$2.key" -CAcreateserial \
+        -out "$1.pem" -days 30 -extfile signer.ext 2> /dev/null
+}
+# Creates a CA that is valid since 2019, and a signing certificate issued by
+# it that expired long ago
+create_old_ca() {
+    printf "[ca]\ndefault_ca=issuer\n[issuer]\ndatabase=index.txt\nnew_certs_dir=.\nserial=serial\ndefault_md=sha256\npolicy=policy\n[policy]\ncommonName=supplied\n" > ca.cnf &&
+    touch index.txt && echo 01 > serial &&
+    openssl req -new -newkey ec -pkeyopt ec_paramgen_curve:P-256 -nodes \
+        -keyout "$1.key" -out "$1.csr" -subj "/CN=$1" 2> /dev/null &&
+    printf "basicConstraints=critical,CA:TRUE\nkeyUsage=critical,keyCertSign,cRLSign\n" > ca.ext &&
+    openssl ca -batch -config ca.cnf -selfsign -keyfile "$1.key" -in "$1.csr" \
+        -out "$1.pem" -startdate 20190101000000Z -enddate 20990101000000Z \
+        -extfile ca.ext -notext 2> /dev/null
+}
+create_expired_signer() {
+    openssl req -newkey rsa:2048 -nodes -keyout "$1.key" -out "$1.csr" -subj "/CN=$1" 2> /dev/null &&
+    printf "basicConstraints=CA:FALSE\nkeyUsage=critical,digitalSignature,nonRepudiation\n" > expired.ext &&
+    openssl ca -batch -config ca.cnf -cert "$2.pem" -keyfile "$2.key" -in "$1.csr" \
+        -out "$1.pem" -startdate 20200101000000Z -enddate 20200201000000Z \
+        -extfile expired.ext -notext 2> /dev/null
+}
+
+# Signs as of 2020-01-15, when the expired certificate was valid
+cat > backdate.mjs <<'SCRIPT'
+const RealDate = Date
+globalThis.Date = class extends RealDate {
+  constructor(...args) {
+    super(...(args.length === 0 ? [RealDate.UTC(2020, 0, 15)] : args))
+  }
+  static now() {
+    return RealDate.UTC(2020, 0, 15)
+  }
+}
+SCRIPT
+
+# Appends a witness revision at the given Unix time. Witnessing needs network
+# access, hence its transaction does not exist.
+cat > witness.mjs <<'SCRIPT'
+import * as fs from "fs"
+import * as main from "./repo/index.js"
+const [fileName, witnessTimestamp] = process.argv.slice(2)
+const aquaObject = JSON.parse(fs.readFileSync(fileName, "utf8"))
+const previous = Object.keys(aquaObject.revisions).pop()
+const witness = {
+  previous_verification_hash: previous,
+  local_timestamp: "20200115000000",
+  revision_type: "witness",
+  hash_algorithm: "sha256",
+  canonicalization: "jcs",
+  witness_merkle_root: previous,
+  witness_timestamp: Number(witnessTimestamp),
+  witness_network: "sepolia",
+  witness_smart_contract_address: "0x45f59310ADD88E6d23ca58A0Fa7A55BEE6d2a611",
+  witness_transaction_hash: "0x" + "0".repeat(64),
+  witness_sender_account_address: "0x" + "0".repeat(40),
+  witness_merkle_proof: [previous],
+}
+aquaObject.revisions[main.getScalarVerificationHash(witness)] = witness
+fs.writeFileSync(fileName, JSON.stringify(aquaObject, null, 2))
+SCRIPT
+
+# Sets a field of the last revision and recomputes its verification hash
+cat > tamper.mjs <<'SCRIPT'
+import * as fs from "fs"
+import * as main from "./repo/index.js"
+const [fileName, field, value] = process.argv.slice(2)
+const aquaObject = JSON.parse(fs.readFileSync(fileName, "utf8"))
+const hashes = Object.keys(aquaObject.revisions)
+const lastHash = hashes[hashes.length - 1]
+const revision = { ...aquaObject.revisions[lastHash], [field]: value }
+delete aquaObject.revisions[lastHash]
+aquaObject.revisions[main.getScalarVerificationHash(revision)] = revision
+fs.writeFileSync(fileName, JSON.stringify(aquaObject, null, 2))
+SCRIPT
+
+test_expect_success 'Setup test environment' '
+    ln -s $(git rev-parse --show-toplevel) ./repo &&
+    cp repo/README.md README.md &&
+    cp repo/LICENSE LICENSE &&
+    $notarize README.md &&
+    $notarize LICENSE &&
+    create_ca root &&
+    create_signer alice root "/C=DE/O=Example GmbH/CN=Alice Example" &&
+    create_old_ca oldroot &&
+    create_expired_signer expired oldroot &&
+    openssl pkcs12 -export -inkey alice.key -in alice.pem -certfile root.pem \
+        -out alice.p12 -passout pass:secret &&
+    create_ca other &&
+    create_signer mallory other "/CN=Mallory" &&
+    create_signer bob root "/CN=Bob" "keyUsage=critical,keyEncipherment" &&
+    create_signer carol root "/CN=Carol" "extendedKeyUsage=serverAuth" &&
+    mkdir anchors empty &&
+    cp root.pem oldroot.pem anchors/
+'
+
+test_expect_success 'Sign with a PEM key and certificate' '
+    $notarize README.md --sign x509 --x509-key alice.key --x509-cert alice.pem > actual_output &&
+    grep -q "Signed by C=DE, O=Example GmbH, CN=Alice Example" actual_output &&
+    grep -q "\"signature_type\": \"x509:cms\"" README.md.aqua.json
+'
+
+test_expect_success 'Verify the signature against the trust anchors' '
+    $verify README.md -v --trust-anchors anchors > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    grep -q "subject C=DE, O=Example GmbH, CN=Alice Example" actual_output
+'
+
+test_expect_success 'Label the signer by its certificate fingerprint with the keyring' '
+    repo/aqua.js trust add "$(openssl x509 -in alice.pem -noout -fingerprint -sha256 | cut -d = -f 2)" \
+        --label Alice --keyring keyring.json &&
+    $verify README.md -v --trust-anchors anchors --keyring keyring.json > actual_output &&
+    grep -q "trusted (Alice)" actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Verify the CMS with OpenSSL' '
+    node -e "
+        const aquaObject = JSON.parse(require(\"fs\").readFileSync(\"README.md.aqua.json\"))
+        const revision = Object.values(aquaObject.revisions).pop()
+        require(\"fs\").writeFileSync(\"signature.der\", Buffer.from(revision.signature, \"base64\"))
+        require(\"fs\").writeFileSync(\"message\", \`I sign this revision: [\${revision.previous_verification_hash}]\`)
+    " &&
+    openssl cms -verify -inform DER -in signature.der -binary -content message \
+        -CAfile root.pem -purpose any -out /dev/null
+'
+
+test_expect_success 'Reject the signature without trust anchors' '
+    $verify README.md --trust-anchors empty > actual_output &&
+    grep -q "There are no trust anchors in empty" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Reject a certificate of an untrusted CA' '
+    $notarize LICENSE --sign x509 --x509-key mallory.key --x509-cert mallory.pem &&
+    $verify LICENSE --trust-anchors anchors > actual_output &&
+    grep -q "The certificate chain is not trusted" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Reject a certificate that is not valid at the time of signing' '
+    echo "expired" > expired.md &&
+    $notarize expired.md &&
+    $notarize expired.md --sign x509 --x509-key expired.key --x509-cert expired.pem &&
+    $verify expired.md --trust-anchors anchors > actual_output &&
+    grep -q "The certificate is either not yet valid or expired" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Ignore a backdated signing time' '
+    echo "backdated" > backdated.md &&
+    $notarize backdated.md &&
+    node --import ./backdate.mjs repo/notarize.js backdated.md --sign x509 \
+        --x509-key expired.key --x509-cert expired.pem &&
+    grep -q "\"local_timestamp\": \"20200115" backdated.md.aqua.json &&
+    $verify backdated.md --trust-anchors anchors > actual_output &&
+    grep -q "The certificate is either not yet valid or expired" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Check the certificate at the time of the witness of the signature' '
+    node witness.mjs backdated.md.aqua.json 1579046400 &&
+    $verify backdated.md --trust-anchors anchors --offline > actual_output &&
+    grep -q "Status: LOCALLY_VERIFIED" actual_output
+'
+
+test_expect_success 'Reject a certificate whose key usage does not allow signing' '
+    echo "bob" > bob.md &&
+    $notarize bob.md &&
+    $notarize bob.md --sign x509 --x509-key bob.key --x509-cert bob.pem &&
+    $verify bob.md --trust-anchors anchors > actual_output &&
+    grep -q "The key usage of the certificate does" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Reject a certificate whose extended key usage does not allow signing' '
+    echo "carol" > carol.md &&
+    $notarize carol.md &&
+    $notarize carol.md --sign x509 --x509-key carol.key --x509-cert carol.pem &&
+    $verify carol.md --trust-anchors anchors > actual_output &&
+    grep -q "The extended key usage of the certificate does" actual_output &&
+    grep -q "Status: INVALID" actual_output
+'
+
+test_expect_success 'Ignore the local_timestamp, which the signature does not cover' '
+    cp README.md.aqua.json good.aqua.json &&
+    node tamper.mjs README.md.aqua.json local_timestamp 20990101000000 &&
+    $verify README.md --trust-anchors anchors > actual_output &&
+    grep -q "Status: VERIFIED" actual_output &&
+    cp good.aqua.json README.md.aqua.json
+'
+
+test_expect_success 'Sign with a PKCS#12 file' '
+    echo "PKCS#12" > p12.md &&
+    $notarize p12.md &&
+    AQUA_X509_PASSWORD=secret $notarize p12.md --sign x509 --x509-key alice.p12 &&
+    $verify p12.md --trust-anchors anchors > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Read the PKCS#12 password from a file descriptor' '
+    echo "password" > fd.md &&
+    $notarize fd.md &&
+    echo secret > password &&
+    $notarize fd.md --sign x509 --x509-key alice.p12 --x509-password-fd 3 3< password &&
+    $verify fd.md --trust-anchors anchors > actual_output &&
+    grep -q "Status: VERIFIED" actual_output
+'
+
+test_expect_success 'Reject a wrong PKCS#12 password' '
+    test_must_fail env AQUA_X509_PASSWORD=wrong $notarize README.md --sign x509 --x509-key alice.p12 > actual_output &&
+    grep -q "the password may be wrong" actual_output
+'
+
+test_expect_success 'Reject a key of another certificate' '
+    test_must_fail $notarize README.md --sign x509 --x509-key mallory.key --x509-cert alice.pem > actual_output &&
+    grep -q "There is no certificate of the private key" actual_output
+'
+
+test_expect_success 'Require the key of --sign x509' '
+    test_must_fail $notarize README.md --sign x509 > actual_output &&
+    grep -q "requires --x509-key" actual_output
+'
+
+test_done
@@ -1,53 +1,225 @@
 
 import { Wallet, Mnemonic } from "ethers";
-import { existsSync, readFileSync, writeFileSync } from "fs";
+import { existsSync, readFileSync } from "fs";
 import { fileURLToPath } from "url"
-import { dirname } from "path"
+import * as os from "os"
+import * as path from "path"
 import crypto from 'crypto';
 import { ethers } from "ethers";
+import {
+    isEncrypted,
+    hasPlaintextSecrets,
+    encryptIdentity,
+    decryptIdentity,
+    readPassphrase,
+} from "./keystore.js";
+import { writeFileAtomic } from "./atomic_write.js";
 
 export function getWallet(mnemonic) {
     // Always trim the last new line
     const wallet = Wallet.fromPhrase(mnemonic.trim())
     const walletAddress = wallet.address.toLowerCase()
-    console.log("Wallet address", wallet.privateKey)
+    console.log("Wallet address", walletAddress)
     return [wallet, walletAddress, wallet.publicKey]
 }
 
 
-export function readCredentials() {
-    const __filename = fileURLToPath(import.meta.url)
-    const __dirname = dirname(__filename)
+// The keys of a signing identity. Every profile has its own, while the other
+// settings are shared by all the profiles.
+const IDENTITY_KEYS = ["mnemonic", "did:key", "nostr_sk", "keystore", "secrets"]
 
-    let filePath = `${__dirname}/credentials.json`;
+// The credentials are stored in the per-user config directory, next to the
+// keyring.
+export function getDefaultCredentialsPath() {
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config")
+    return path.join(configHome, "aqua-verifier", "credentials.json")
+}
+
+// Earlier versions only read credentials.json next to the installed scripts
+function getLegacyCredentialsPath() {
+    return path.join(path.dirname(fileURLToPath(import.meta.url)), "credentials.json")
+}
 
-    if (existsSync(filePath)) {
+/**
+ * Returns the credentials file, from either of:
+ * 1. the given path, e.g. of --credentials
+ * 2. the AQUA_CREDENTIALS environment variable
+ * 3. the per-user config directory, if the file exists
+ * 4. credentials.json next to the installed scripts, if the file exists
+ * @param   {string} credentialsPath The file given by the user, if any.
+ * @returns {string|null} The file, or null if there are no credentials.
+ */
+export function findCredentialsPath(credentialsPath) {
+    if (credentialsPath) {
+        return credentialsPath
+    }
+    if (process.env.AQUA_CREDENTIALS) {
+        return process.env.AQUA_CREDENTIALS
+    }
+    return [getDefaultCredentialsPath(), getLegacyCredentialsPath()].find(existsSync) ?? null
+}
+
+function readCredentialsFile(filePath) {
+    try {
         return JSON.parse(readFileSync(filePath, "utf8"))
-    } else {
-        console.log('Credential file  does not exist.Creating wallet');
+    } catch (e) {
+        throw new Error(`The credentials file ${filePath} is not valid JSON: ${e.message}`)
+    }
+}
 
-        // Generate random entropy (128 bits for a 12-word mnemonic)
-        const entropy = crypto.randomBytes(16);
+// Only the owner can read the file
+function writeCredentialsFile(filePath, credentials) {
+    writeFileAtomic(filePath, JSON.stringify(credentials, null, 4), { mode: 0o600 })
+}
 
-        // Convert entropy to a mnemonic phrase
-        const mnemonic = Mnemonic.fromEntropy(entropy);
+// Returns the profiles of the credentials as [name, identity]. The top-level
+// keys are the default profile.
+function getProfiles(credentials) {
+    const { profiles, ...defaultIdentity } = credentials
+    return [["default", defaultIdentity], ...Object.entries(profiles ?? {})]
+}
 
-        let credentialsObject = {
-            mnemonic: mnemonic.phrase, nostr_sk: "", "did:key": "",
-            alchemy_key: "ZaQtnup49WhU7fxrujVpkFdRz4JaFRtZ",
-            witness_eth_network: "sepolia",
-            witness_eth_platform: "metamask"
-        };
-        try {
-            writeFileSync(filePath, JSON.stringify(credentialsObject, null, 4), "utf8")
-            return credentialsObject;
-        } catch (error) {
-            console.error("Failed to write mnemonic:", error)
-            process.exit(1)
+/**
+ * Reads the credentials of a profile. The profiles are stored under
+ * "profiles", each with its own mnemonic, did:key and nostr_sk, while the
+ * top-level keys are the default profile. The encrypted profiles are
+ * decrypted with the passphrase.
+ * A new wallet is never created here, see createCredentials.
+ * @param   {Object} options
+ * @param   {string} options.credentialsPath The file given by the user, if any.
+ * @param   {string} options.profile The profile, defaults to the AQUA_PROFILE
+ *                                   environment variable, then "default".
+ * @param   {Function} options.getPassphrase Returns the passphrase of
+ *                                           encrypted profiles, defaults to
+ *                                           readPassphrase.
+ * @returns {Promise<Object>} The plaintext credentials.
+ */
+export async function readCredentials({ credentialsPath, profile, getPassphrase = readPassphrase } = {}) {
+    const filePath = findCredentialsPath(credentialsPath)
+    if (!filePath || !existsSync(filePath)) {
+        const location = filePath ? ` at ${filePath}` : ""
+        throw new Error(`No credentials found${location}. Create a wallet with "aqua.js credentials create", or pass --credentials <file>`)
+    }
+    const credentials = readCredentialsFile(filePath)
+    const profileName = profile || process.env.AQUA_PROFILE || "default"
+    const profiles = credentials.profiles ?? {}
+    if (profileName !== "default" && !(profileName in profiles)) {
+        const names = ["default", ...Object.keys(profiles)].join(", ")
+        throw new Error(`There is no profile ${profileName} in ${filePath}. The profiles are: ${names}`)
+    }
+    const shared = Object.fromEntries(
+        Object.entries(credentials).filter(([key]) => key !== "profiles" && !IDENTITY_KEYS.includes(key)),
+    )
+    const identity = profileName === "default" ? credentials : { ...shared, ...profiles[profileName] }
+    if (isEncrypted(identity)) {
+        return decryptIdentity(identity, await getPassphrase())
+    }
+    if (hasPlaintextSecrets(identity)) {
+        console.warn(`Warning: The credentials in ${filePath} are not encrypted. Encrypt them with "aqua.js credentials encrypt"`)
+    }
+    return identity
+}
+
+/**
+ * Creates a new wallet in a profile of a credentials file, which is created if
+ * it doesn't exist. The wallet is encrypted with the passphrase.
+ * @param   {Object} options
+ * @param   {string} options.credentialsPath The file given by the user, if any.
+ *                                           Defaults to AQUA_CREDENTIALS, then
+ *                                           the per-user config directory.
+ * @param   {string} options.profile The profile, "default" if not given.
+ * @param   {string} options.passphrase
+ * @returns {Promise<Object>} The file and the wallet address.
+ */
+export async function createCredentials({ credentialsPath, profile, passphrase } = {}) {
+    const filePath = credentialsPath || process.env.AQUA_CREDENTIALS || getDefaultCredentialsPath()
+    const profileName = profile || "default"
+    const credentials = existsSync(filePath) ? readCredentialsFile(filePath) : {}
+
+    const identity = profileName === "default" ? credentials : (credentials.profiles?.[profileName] ?? {})
+    if (identity.mnemonic || identity.keystore) {
+        throw new Error(`The profile ${profileName} in ${filePath} already has a wallet`)
+    }
+    if (isEncrypted(identity)) {
+        // The existing secrets are kept, hence they have to be decrypted first
+        Object.assign(identity, decryptIdentity(identity, passphrase))
+        delete identity.secrets
+    }
+    // 128 bits of random entropy for a 12-word mnemonic
+    const mnemonic = Mnemonic.fromEntropy(crypto.randomBytes(16)).phrase
+    const newIdentity = await encryptIdentity({ "did:key": "", nostr_sk: "", ...identity, mnemonic }, passphrase)
+    const newCredentials = profileName === "default"
+        ? newIdentity
+        : { ...credentials, profiles: { ...credentials.profiles, [profileName]: newIdentity } }
+
+    writeCredentialsFile(filePath, newCredentials)
+    return { filePath, walletAddress: Wallet.fromPhrase(mnemonic).address.toLowerCase() }
+}
 
+/**
+ * Encrypts the plaintext profiles of a credentials file, e.g. of earlier
+ * versions. The profiles that are already encrypted are left as they are.
+ * @param   {Object} options
+ * @param   {string} options.credentialsPath The file given by the user, if any.
+ * @param   {string} options.passphrase
+ * @returns {Promise<Object>} The file and the names of the encrypted profiles.
+ */
+export async function encryptCredentials({ credentialsPath, passphrase } = {}) {
+    const filePath = findCredentialsPath(credentialsPath)
+    if (!filePath || !existsSync(filePath)) {
+        throw new Error(`No credentials found${filePath ? ` at ${filePath}` : ""}`)
+    }
+    const credentials = readCredentialsFile(filePath)
+    const encryptedProfiles = []
+    const newProfiles = {}
+    let newCredentials = null
+    for (const [name, identity] of getProfiles(credentials)) {
+        let newIdentity = identity
+        if (!isEncrypted(identity) && hasPlaintextSecrets(identity)) {
+            newIdentity = await encryptIdentity(identity, passphrase)
+            encryptedProfiles.push(name)
         }
+        if (name === "default") {
+            newCredentials = newIdentity
+        } else {
+            newProfiles[name] = newIdentity
+        }
+    }
+    if (credentials.profiles) {
+        newCredentials.profiles = newProfiles
+    }
+    if (encryptedProfiles.length > 0) {
+        writeCredentialsFile(filePath, newCredentials)
+    }
+    return { filePath, encryptedProfiles }
+}
 
+/**
+ * Lists the profiles of a credentials file, without decrypting them.
+ * @param   {string} credentialsPath The file given by the user, if any.
+ * @returns {Object} The file and the name and identities of every profile.
+ */
+export function listCredentialProfiles(credentialsPath) {
+    const filePath = findCredentialsPath(credentialsPath)
+    if (!filePath || !existsSync(filePath)) {
+        throw new Error("No credentials found. Create a wallet with \"aqua.js credentials create\"")
+    }
+    const describe = ([name, identity]) => {
+        if (isEncrypted(identity)) {
+            // The address is not encrypted in Ethereum keystores
+            return {
+                name,
+                encrypted: true,
+                wallet_address: identity.keystore ? ethers.getAddress(`0x${identity.keystore.address.replace(/^0x/, "")}`).toLowerCase() : null,
+            }
+        }
+        return {
+            name,
+            encrypted: false,
+            wallet_address: identity.mnemonic ? Wallet.fromPhrase(identity.mnemonic.trim()).address.toLowerCase() : null,
+        }
     }
+    return { filePath, profiles: getProfiles(readCredentialsFile(filePath)).map(describe) }
 }
 
 export const estimateWitnessGas = async (wallet_address, witness_event_verification_hash, ethNetwork, smart_contract_address, providerUrl) => {
@@ -0,0 +1,47 @@
+import * as fs from "fs"
+import * as os from "os"
+import * as path from "path"
+import { writeFileAtomic } from "./atomic_write.js"
+
+// The verification outcomes of all chains are stored in a single JSON file
+// in the per-user cache directory.
+export function getDefaultCachePath() {
+  const cacheHome =
+    process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache")
+  return path.join(cacheHome, "aqua-verifier", "verification-cache.json")
+}
+
+/**
+ * Opens the verification cache stored in a JSON file, for use as the cache
+ * option of verifyAquaObject.
+ * @param   {string} filePath The cache file. It is created by save if it
+ *                            doesn't exist.
+ * @returns {Object} The cache with get, set and save.
+ */
+export function openVerificationCache(filePath = getDefaultCachePath()) {
+  let entries = new Map()
+  if (fs.existsSync(filePath)) {
+    try {
+      entries = new Map(Object.entries(JSON.parse(fs.readFileSync(filePath, "utf8"))))
+    } catch (e) {
+      // A corrupted cache only means that every revision is verified again
+      entries = new Map()
+    }
+  }
+  let modified = false
+
+  return {
+    get: (key) => entries.get(key),
+    set: (key, entry) => {
+      entries.set(key, entry)
+      modified = true
+    },
+    save: () => {
+      if (!modified) {
+        return
+      }
+      writeFileAtomic(filePath, JSON.stringify(Object.fromEntries(entries)))
+      modified = false
+    },
+  }
+}
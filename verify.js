@@ -1,12 +1,34 @@
 #!/usr/bin/env node
 
+import * as fs from "fs"
 import * as main from "./index.js"
 import minimist from "minimist"
 import * as formatter from "./formatter.js"
+import { openVerificationCache, getDefaultCachePath } from "./verification_cache.js"
+import { createContentResolver } from "./content_resolver.js"
+import { readPolicyFile, evaluatePolicy } from "./policy.js"
+import { openKeyring, getDefaultKeyringPath } from "./keyring.js"
+import { getDefaultTrustAnchorDir } from "./x509.js"
+import { getDefaultAllowedSignersPath } from "./ssh.js"
 
 const opts = {
   // This is required so that -v and -m are position independent.
-  boolean: ["v", "m"],
+  boolean: ["v", "m", "json", "offline", "cache", "recheck", "validate-only"],
+  string: [
+    "output",
+    "cache-file",
+    "witness-ttl",
+    "concurrency",
+    "max-depth",
+    "data-dir",
+    "api",
+    "server",
+    "token",
+    "policy",
+    "keyring",
+    "trust-anchors",
+    "allowed-signers",
+  ],
 }
 const argv = minimist(process.argv.slice(2), opts)
 
@@ -14,18 +36,57 @@ function usage() {
   console.log(`Usage:
 verify.js [OPTIONS] <file name>
 or
+verify.js [OPTIONS] <file name>@<revision hash>
+  to only verify the revisions up to <revision hash> instead of every branch
+or
 verify.js [OPTIONS] --api <page title>
 
 Options:
   -v                     Verbose
+  --validate-only        Only validate the file against the JSON Schema of the
+                         AQUA format (aqua.schema.json) without verifying it
+  --json                 Print a machine-readable JSON report instead of text
+  --output <file>        Write the JSON report to <file>
+  --offline              Don't access the network. Ethereum and Nostr witnesses
+                         are reported as unchecked and a chain that passes
+                         every local check gets the status LOCALLY_VERIFIED
+  --cache                Reuse the verification outcomes stored in
+                         ${getDefaultCachePath()}
+                         and store the new ones
+  --cache-file <file>    Like --cache, with the outcomes stored in <file>
+  --recheck              Verify every revision again instead of using the
+                         cached outcomes
+  --witness-ttl <sec>    Check cached witness outcomes again once they are
+                         older than <sec> seconds (default: 86400)
+  --concurrency <n>      Run at most <n> witness lookups and linked chain
+                         verifications at the same time (default: 4)
+  --max-depth <n>        Only follow <n> levels of links. Deeper linked chains
+                         are reported as NOT_FOLLOWED
+  --policy <file>        Check the verified chain against the signer and
+                         witness rules of the JSON policy <file>
+  --keyring <file>       Label the signers as trusted, unknown or expired
+                         using the keyring <file> instead of
+                         ${getDefaultKeyringPath()}
+                         (managed with aqua.js trust)
+  --trust-anchors <dir>  Validate the certificates of X.509 signatures against
+                         the CA certificates in <dir> instead of
+                         ${getDefaultTrustAnchorDir()}
+  --allowed-signers <file>
+                         Accept the SSH signatures of the keys in the
+                         allowed_signers <file> (see ssh-keygen) instead of
+                         ${getDefaultAllowedSignersPath()}
+  --data-dir <dir>       Look up the files and linked chains by name or by hash
+                         in the directory tree <dir> instead of the current
+                         directory
   --server               <The url of the server, e.g. https://pkc.inblock.io>
   --api                 (If present) The title to read from for the data
+  --token <token>        The OAuth2 bearer token of the API calls (if --api)
 If the --server is not specified, it defaults to http://localhost:9352`)
 }
 
 // This should be a commandline argument for specifying the title of the page
 // which should be verified.
-if (argv._.length < 1) {
+if (argv._.length < 1 && !argv.api) {
   formatter.log_red("ERROR: You must specify the file name or page title (if --api)")
   usage()
   process.exit(1)
@@ -35,39 +96,183 @@ const verbose = argv.v
 
 const server = argv.server ?? "http://localhost:9352"
 
+let witnessCacheTTL
+if (argv["witness-ttl"] !== undefined) {
+  witnessCacheTTL = Number(argv["witness-ttl"])
+  if (!Number.isFinite(witnessCacheTTL) || witnessCacheTTL < 0) {
+    formatter.log_red(`ERROR: Invalid --witness-ttl ${argv["witness-ttl"]}, expected a number of seconds`)
+    process.exit(1)
+  }
+}
+
+
+let concurrency
+if (argv.concurrency !== undefined) {
+  concurrency = Number(argv.concurrency)
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    formatter.log_red(`ERROR: Invalid --concurrency ${argv.concurrency}, expected a positive integer`)
+    process.exit(1)
+  }
+}
+
+let maxLinkDepth
+if (argv["max-depth"] !== undefined) {
+  maxLinkDepth = Number(argv["max-depth"])
+  if (!Number.isInteger(maxLinkDepth) || maxLinkDepth < 0) {
+    formatter.log_red(`ERROR: Invalid --max-depth ${argv["max-depth"]}, expected a non-negative integer`)
+    process.exit(1)
+  }
+}
+
+const dataDir = argv["data-dir"]
+if (dataDir !== undefined && !fs.existsSync(dataDir)) {
+  formatter.log_red(`ERROR: The data directory ${dataDir} does not exist`)
+  process.exit(1)
+}
+
+const trustAnchorDir = argv["trust-anchors"]
+if (trustAnchorDir !== undefined && !fs.existsSync(trustAnchorDir)) {
+  formatter.log_red(`ERROR: The trust anchor directory ${trustAnchorDir} does not exist`)
+  process.exit(1)
+}
+
+const allowedSignersFile = argv["allowed-signers"]
+if (allowedSignersFile !== undefined && !fs.existsSync(allowedSignersFile)) {
+  formatter.log_red(`ERROR: The allowed signers file ${allowedSignersFile} does not exist`)
+  process.exit(1)
+}
+
+function getVerificationOptions() {
+  return {
+    offline: argv.offline,
+    recheck: argv.recheck,
+    witnessCacheTTL,
+    concurrency,
+    maxLinkDepth,
+    keyring,
+    trustAnchorDir,
+    allowedSignersFile,
+  }
+}
+
+function openCache() {
+  if (argv["cache-file"] !== undefined) {
+    return openVerificationCache(argv["cache-file"])
+  }
+  return argv.cache ? openVerificationCache() : undefined
+}
+
+// Prints the result and writes the JSON report. source identifies the
+// verified file or page in the report.
+function outputResult(source, aquaObject, result) {
+  const policyResult =
+    policy && aquaObject ? evaluatePolicy(policy, aquaObject, result) : undefined
+  if (!argv.json) {
+    formatter.printVerificationResult(result, verbose)
+    if (policyResult) {
+      formatter.printPolicyResult(policyResult)
+    }
+    console.log()
+  }
+  if (!argv.json && !argv.output) {
+    return
+  }
+  const report = aquaObject
+    ? main.generateVerificationReport(aquaObject, result)
+    : { status: result.status, error_message: result.error_message }
+  const reportJson = JSON.stringify({ ...source, ...report, policy: policyResult }, null, 2)
+  if (argv.output) {
+    fs.writeFileSync(argv.output, reportJson, "utf8")
+  }
+  if (argv.json) {
+    console.log(reportJson)
+  }
+}
+
+let policy
+if (argv.policy !== undefined) {
+  try {
+    policy = readPolicyFile(argv.policy)
+  } catch (e) {
+    formatter.log_red(`ERROR: ${e.message}`)
+    process.exit(1)
+  }
+}
+
+// The signers are only labeled if there is a keyring
+let keyring
+const keyringPath = argv.keyring || getDefaultKeyringPath()
+if (argv.keyring !== undefined || fs.existsSync(keyringPath)) {
+  try {
+    keyring = openKeyring(keyringPath)
+  } catch (e) {
+    formatter.log_red(e.message)
+    process.exit(1)
+  }
+}
 
 // The main function
 ;(async function () {
   if (!argv.api) {
-    let filename = argv._[0]
+    let [filename, targetHash] = argv._[0].split("@")
     // If the file is an AQUA file, we read it directly, otherwise, we read the AQUA
     // file corresponding with the file
     filename = filename.endsWith(".aqua.json") ? filename : filename + ".aqua.json"
-    const offlineData = await main.readExportFile(filename)
+    let offlineData
+    try {
+      offlineData = await main.readExportFile(filename)
+    } catch (e) {
+      formatter.log_red(`ERROR: ${e.message}`)
+      process.exit(1)
+    }
+    if (argv["validate-only"]) {
+      console.log(`${filename} is a valid AQUA file`)
+      return
+    }
 
-    await main.verifyPage(offlineData, verbose)
-    console.log()
+    const cache = openCache()
+    const result = await main.verifyAquaObject(offlineData, {
+      ...getVerificationOptions(),
+      targetHash,
+      cache,
+      ...(dataDir !== undefined ? createContentResolver(dataDir) : {}),
+    })
+    cache?.save()
+    outputResult({ file: filename }, offlineData, result)
   } else {
-    const title = argv.api
-    console.log(`Verifying ${title}`)
+    const title = formatter.validateTitle(argv.api)
+    if (!argv.json) {
+      console.log(`Verifying ${title}`)
+    }
     let APIstatus, versionMatches, serverVersion
     try {
       ;[APIstatus, versionMatches, serverVersion] =
-        await main.checkAPIVersionCompatibility(server)
+        await main.checkAPIVersionCompatibility(server, argv.token)
     } catch (e) {
       formatter.log_red("Error checking API version: " + e)
-      return
+      process.exit(1)
     }
     if (APIstatus !== "FOUND") {
       formatter.log_red("Error checking API version: " + APIstatus)
-      return
+      process.exit(1)
     }
     if (!versionMatches) {
       formatter.log_red("Incompatible API version:")
       formatter.log_red(`Current supported version: ${main.apiVersion}`)
       formatter.log_red(`Server version: ${serverVersion}`)
-      return
+      process.exit(1)
     }
-    await main.verifyPageFromMwAPI(server, title, verbose)
+    const cache = openCache()
+    const [aquaObject, result] = await main.verifyAquaObjectFromMwAPI(server, title, {
+      ...getVerificationOptions(),
+      token: argv.token,
+      cache,
+      // The linked pages are still fetched from the server
+      ...(dataDir !== undefined
+        ? { readFileContent: createContentResolver(dataDir).readFileContent }
+        : {}),
+    })
+    cache?.save()
+    outputResult({ server, title }, aquaObject, result)
   }
 })()
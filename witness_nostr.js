@@ -10,7 +10,6 @@ import WebSocket from 'ws'
 
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { readCredentials } from './utils.js';
 
 useWebSocketImplementation(WebSocket)
 
@@ -20,10 +19,8 @@ useWebSocketImplementation(WebSocket)
 
 //   return JSON.parse(fs.readFileSync(`${__dirname}/credentials.json`, "utf8"))
 // }
-const credentials = readCredentials();//credentials_func()
 // const credentials = JSON.parse(fs.readFileSync(`${import.meta.dirname}/credentials.json`, "utf8"))
 
-const skHex = credentials.nostr_sk
 const relayUrl = 'wss://relay.damus.io'
 
 const waitForEventAuthor = async (relay, pk) => {
@@ -55,9 +52,12 @@ const waitForEventId = async (relay, id) => {
   });
 }
 
-const witness = async (witnessEventVerificationHash) => {
+// The credentials are only read when witnessing, so that verifying does not
+// depend on them.
+const witness = async (witnessEventVerificationHash, credentials) => {
+  const skHex = credentials.nostr_sk
 
-  if (skHex.length === 0 || !skHex) {
+  if (!skHex || skHex.length === 0) {
 
     console.log("Nostr SK key is required.  Please get an API key from https://snort.social/login/sign-up")
 
@@ -0,0 +1,379 @@
+import * as fs from "fs"
+import * as os from "os"
+import * as path from "path"
+import crypto from "crypto"
+import * as asn1js from "asn1js"
+import * as pkijs from "pkijs"
+
+const OID_DATA = "1.2.840.113549.1.7.1"
+const OID_SIGNED_DATA = "1.2.840.113549.1.7.2"
+const OID_CONTENT_TYPE = "1.2.840.113549.1.9.3"
+const OID_MESSAGE_DIGEST = "1.2.840.113549.1.9.4"
+const OID_SIGNING_TIME = "1.2.840.113549.1.9.5"
+const OID_PKCS8_SHROUDED_KEY_BAG = "1.2.840.113549.1.12.10.1.2"
+const OID_CERT_BAG = "1.2.840.113549.1.12.10.1.3"
+const OID_KEY_USAGE = "2.5.29.15"
+const OID_EXT_KEY_USAGE = "2.5.29.37"
+
+// The extended key usages that allow signing documents
+const SIGNING_KEY_PURPOSES = [
+  "2.5.29.37.0", // anyExtendedKeyUsage
+  "1.3.6.1.5.5.7.3.4", // emailProtection
+  "1.3.6.1.5.5.7.3.36", // documentSigning
+]
+
+// The WebCrypto names of the curves of ECDSA keys
+const NAMED_CURVES = {
+  prime256v1: "P-256",
+  secp384r1: "P-384",
+  secp521r1: "P-521",
+}
+
+// The certificates of the trusted CAs are stored as PEM or DER files in the
+// per-user config directory.
+export function getDefaultTrustAnchorDir() {
+  const configHome =
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config")
+  return path.join(configHome, "aqua-verifier", "trust-anchors")
+}
+
+// The signed text is the same as of the Ethereum and DID signatures
+function getSignedMessage(verificationHash) {
+  return Buffer.from(`I sign this revision: [${verificationHash}]`, "utf8")
+}
+
+const toArrayBuffer = (buffer) => new Uint8Array(buffer).buffer
+
+// Splits PEM or DER data into the DER encoded certificates
+function readCertificates(data) {
+  const text = data.toString("latin1")
+  if (!text.includes("-----BEGIN")) {
+    return [data]
+  }
+  const blocks = text.match(/-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----/g) ?? []
+  return blocks.map((block) =>
+    Buffer.from(block.replace(/-----(BEGIN|END) CERTIFICATE-----|\s/g, ""), "base64"),
+  )
+}
+
+function parseCertificate(der) {
+  return pkijs.Certificate.fromBER(toArrayBuffer(der))
+}
+
+/**
+ * Returns the subject of a certificate, e.g. "C=DE, O=Example, CN=Alice",
+ * which is stored as the signature_wallet_address of x509:cms signatures.
+ * @param   {Buffer} der The DER encoded certificate.
+ * @returns {string} The subject distinguished name.
+ */
+export function getSubject(der) {
+  return new crypto.X509Certificate(der).subject.split("\n").join(", ")
+}
+
+/**
+ * Returns the SHA-256 fingerprint of a certificate, e.g. "AB:CD:...:EF", as
+ * shown by openssl x509 -fingerprint -sha256. It identifies the signers of
+ * x509:cms signatures in the keyring.
+ * @param   {Buffer} der The DER encoded certificate.
+ * @returns {string} The fingerprint as colon-separated hex bytes.
+ */
+export function getFingerprint(der) {
+  return new crypto.X509Certificate(der).fingerprint256
+}
+
+// Reads the private key and the certificates of a PKCS#12 file
+async function readPkcs12(data, password) {
+  const passwordBuffer = toArrayBuffer(Buffer.from(password, "utf8"))
+  const pfx = pkijs.PFX.fromBER(toArrayBuffer(data))
+  await pfx.parseInternalValues({ password: passwordBuffer, checkIntegrity: true })
+  const authenticatedSafe = pfx.parsedValue.authenticatedSafe
+  await authenticatedSafe.parseInternalValues({
+    safeContents: authenticatedSafe.safeContents.map(() => ({ password: passwordBuffer })),
+  })
+  let privateKeyDer
+  const certificates = []
+  for (const { value } of authenticatedSafe.parsedValue.safeContents) {
+    for (const bag of value.safeBags) {
+      if (bag.bagId === OID_PKCS8_SHROUDED_KEY_BAG) {
+        await bag.bagValue.parseInternalValues({ password: passwordBuffer })
+        privateKeyDer = Buffer.from(bag.bagValue.parsedValue.toSchema().toBER())
+      } else if (bag.bagId === OID_CERT_BAG) {
+        certificates.push(Buffer.from(bag.bagValue.parsedValue.toSchema().toBER()))
+      }
+    }
+  }
+  if (!privateKeyDer) {
+    throw new Error("The PKCS#12 file has no private key")
+  }
+  return {
+    privateKey: crypto.createPrivateKey({ key: privateKeyDer, format: "der", type: "pkcs8" }),
+    certificates,
+  }
+}
+
+/**
+ * Reads the signing key and the certificates of the signer, from either a
+ * PKCS#12 file, or a PEM private key and a PEM file with the certificate of
+ * the signer and optionally its intermediate CAs.
+ * @param   {Object} options
+ * @param   {string} options.keyPath The PKCS#12 file (.p12 or .pfx) or the
+ *                                   PEM private key.
+ * @param   {string} options.certPath The PEM certificates, if the key is PEM.
+ * @param   {Function} options.getPassword Returns a promise of the password,
+ *                                         only called if the key is encrypted.
+ * @returns {Promise<Object>} The private key as KeyObject, the DER encoded
+ *                            certificate of the signer and its chain.
+ */
+export async function readSigningKey({ keyPath, certPath, getPassword }) {
+  const keyData = fs.readFileSync(keyPath)
+  let privateKey, certificates
+  if (/\.(p12|pfx)$/i.test(keyPath)) {
+    try {
+      ;({ privateKey, certificates } = await readPkcs12(keyData, await getPassword()))
+    } catch (e) {
+      throw new Error(`Failed to read the PKCS#12 file ${keyPath}, the password may be wrong: ${e.message}`)
+    }
+  } else {
+    if (!certPath) {
+      throw new Error("The certificate of the PEM key is required")
+    }
+    const encrypted = keyData.toString("latin1").includes("ENCRYPTED")
+    try {
+      privateKey = crypto.createPrivateKey({
+        key: keyData,
+        passphrase: encrypted ? await getPassword() : undefined,
+      })
+    } catch (e) {
+      throw new Error(`Failed to read the private key ${keyPath}: ${e.message}`)
+    }
+    certificates = readCertificates(fs.readFileSync(certPath))
+  }
+  // The certificate of the key comes first, followed by its chain
+  const signerIndex = certificates.findIndex((der) =>
+    new crypto.X509Certificate(der).checkPrivateKey(privateKey),
+  )
+  if (signerIndex === -1) {
+    throw new Error(`There is no certificate of the private key ${keyPath}`)
+  }
+  const [certificate] = certificates.splice(signerIndex, 1)
+  return { privateKey, certificate, chain: certificates }
+}
+
+// Imports a Node.js private key for the WebCrypto engine of pkijs
+async function importPrivateKey(privateKey) {
+  let algorithm
+  switch (privateKey.asymmetricKeyType) {
+    case "rsa":
+      algorithm = { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }
+      break
+    case "ec": {
+      const namedCurve = NAMED_CURVES[privateKey.asymmetricKeyDetails.namedCurve]
+      if (!namedCurve) {
+        throw new Error(`Unsupported curve ${privateKey.asymmetricKeyDetails.namedCurve}`)
+      }
+      algorithm = { name: "ECDSA", namedCurve }
+      break
+    }
+    default:
+      throw new Error(`Unsupported key type ${privateKey.asymmetricKeyType}, expected RSA or ECDSA`)
+  }
+  const der = privateKey.export({ type: "pkcs8", format: "der" })
+  return crypto.webcrypto.subtle.importKey("pkcs8", der, algorithm, false, ["sign"])
+}
+
+// Parses a detached SignedData, encoded as base64 DER ContentInfo
+function parseSignedData(cms) {
+  const asn1 = asn1js.fromBER(toArrayBuffer(Buffer.from(cms, "base64")))
+  if (asn1.offset === -1) {
+    throw new Error("The signature is not DER encoded")
+  }
+  const contentInfo = new pkijs.ContentInfo({ schema: asn1.result })
+  if (contentInfo.contentType !== OID_SIGNED_DATA) {
+    throw new Error("The signature is not a CMS SignedData")
+  }
+  const signedData = new pkijs.SignedData({ schema: contentInfo.content })
+  // Otherwise the signature would cover the embedded content instead
+  if (signedData.encapContentInfo.eContent) {
+    throw new Error("The signature is not detached")
+  }
+  if (signedData.signerInfos.length !== 1) {
+    throw new Error("The signature must have exactly one signer")
+  }
+  return signedData
+}
+
+// Returns the signer certificate of the SignedData, by issuer and serial
+function findSignerCertificate(signedData) {
+  const sid = signedData.signerInfos[0].sid
+  return (signedData.certificates ?? []).find(
+    (certificate) =>
+      certificate instanceof pkijs.Certificate &&
+      sid instanceof pkijs.IssuerAndSerialNumber &&
+      certificate.issuer.isEqual(sid.issuer) &&
+      certificate.serialNumber.isEqual(sid.serialNumber),
+  )
+}
+
+// Returns the reason why the key usage or the extended key usage of the
+// certificate doesn't allow signing documents, or null if it does. Without
+// the extensions, the usage is not restricted.
+function checkSigningUsage(certificate) {
+  for (const extension of certificate.extensions ?? []) {
+    if (extension.extnID === OID_KEY_USAGE) {
+      // The first byte holds digitalSignature (0x80) and nonRepudiation (0x40)
+      const bits = extension.parsedValue.valueBlock.valueHexView[0] ?? 0
+      if ((bits & 0xc0) === 0) {
+        return "The key usage of the certificate doesn't allow digital signatures"
+      }
+    } else if (extension.extnID === OID_EXT_KEY_USAGE) {
+      const purposes = extension.parsedValue.keyPurposes
+      if (!purposes.some((purpose) => SIGNING_KEY_PURPOSES.includes(purpose))) {
+        return `The extended key usage of the certificate doesn't allow signing documents: ${purposes.join(", ")}`
+      }
+    }
+  }
+  return null
+}
+
+const signature = {
+  /**
+   * Signs the revision into a detached CMS SignedData (RFC 5652) with the
+   * content type, message digest and signing time as signed attributes, and
+   * the certificate of the signer and its chain.
+   * @param   {string} verificationHash The signed revision.
+   * @param   {Object} signingKey As returned by readSigningKey.
+   * @returns {Promise<Object>} The base64 DER encoded CMS, the base64 DER
+   *                            encoded certificate and its subject.
+   */
+  sign: async (verificationHash, { privateKey, certificate, chain }) => {
+    const message = getSignedMessage(verificationHash)
+    const signerCertificate = parseCertificate(certificate)
+    const digest = crypto.createHash("sha256").update(message).digest()
+    const signedData = new pkijs.SignedData({
+      version: 1,
+      encapContentInfo: new pkijs.EncapsulatedContentInfo({ eContentType: OID_DATA }),
+      signerInfos: [
+        new pkijs.SignerInfo({
+          version: 1,
+          sid: new pkijs.IssuerAndSerialNumber({
+            issuer: signerCertificate.issuer,
+            serialNumber: signerCertificate.serialNumber,
+          }),
+          signedAttrs: new pkijs.SignedAndUnsignedAttributes({
+            type: 0,
+            attributes: [
+              new pkijs.Attribute({
+                type: OID_CONTENT_TYPE,
+                values: [new asn1js.ObjectIdentifier({ value: OID_DATA })],
+              }),
+              new pkijs.Attribute({
+                type: OID_SIGNING_TIME,
+                values: [new asn1js.UTCTime({ valueDate: new Date() })],
+              }),
+              new pkijs.Attribute({
+                type: OID_MESSAGE_DIGEST,
+                values: [new asn1js.OctetString({ valueHex: toArrayBuffer(digest) })],
+              }),
+            ],
+          }),
+        }),
+      ],
+      certificates: [signerCertificate, ...chain.map(parseCertificate)],
+    })
+    await signedData.sign(await importPrivateKey(privateKey), 0, "SHA-256", toArrayBuffer(message))
+    const contentInfo = new pkijs.ContentInfo({
+      contentType: OID_SIGNED_DATA,
+      content: signedData.toSchema(true),
+    })
+    return {
+      cms: Buffer.from(contentInfo.toSchema().toBER()).toString("base64"),
+      certificate: certificate.toString("base64"),
+      subject: getSubject(certificate),
+    }
+  },
+
+  // Returns whether the CMS is a valid signature of the revision by the
+  // certificate, without checking the certificate itself
+  verify: async (cms, certificate, verificationHash) => {
+    try {
+      const signedData = parseSignedData(cms)
+      const signerCertificate = findSignerCertificate(signedData)
+      if (
+        !signerCertificate ||
+        Buffer.from(signerCertificate.toSchema().toBER()).toString("base64") !== certificate
+      ) {
+        return false
+      }
+      return await signedData.verify({
+        signer: 0,
+        data: toArrayBuffer(getSignedMessage(verificationHash)),
+      })
+    } catch (e) {
+      return false
+    }
+  },
+}
+
+// Reads the certificates of every file in the trust anchor directory
+function readTrustAnchors(trustAnchorDir) {
+  if (!fs.existsSync(trustAnchorDir)) {
+    return []
+  }
+  const anchors = []
+  for (const entry of fs.readdirSync(trustAnchorDir, { withFileTypes: true })) {
+    if (!entry.isFile() || !/\.(pem|crt|cer|der)$/i.test(entry.name)) {
+      continue
+    }
+    const filePath = path.join(trustAnchorDir, entry.name)
+    try {
+      anchors.push(...readCertificates(fs.readFileSync(filePath)).map(parseCertificate))
+    } catch (e) {
+      throw new Error(`The trust anchor ${filePath} is not a certificate: ${e.message}`)
+    }
+  }
+  return anchors
+}
+
+/**
+ * Validates the certificate chain of an x509:cms signature against the trust
+ * anchors, including the validity dates of every certificate at a trusted
+ * time, and the key usage of the signer certificate. The signing time signed
+ * attribute of the CMS is not trusted, as the signer chooses it. Revocation
+ * is not checked.
+ * @param   {string} cms The base64 DER encoded CMS of the signature.
+ * @param   {string} trustAnchorDir The directory of the trusted CA
+ *                                  certificates.
+ * @param   {Date} checkDate The time at which the certificates have to be
+ *                           valid, e.g. the time of a witness of the
+ *                           signature.
+ * @returns {Promise<string|null>} The reason why the chain is not trusted,
+ *                                 or null if it is.
+ */
+export async function verifyCertificateChain(cms, trustAnchorDir, checkDate = new Date()) {
+  const trustedCerts = readTrustAnchors(trustAnchorDir)
+  if (trustedCerts.length === 0) {
+    return `There are no trust anchors in ${trustAnchorDir}`
+  }
+  const signedData = parseSignedData(cms)
+  const signerCertificate = findSignerCertificate(signedData)
+  const usageError = checkSigningUsage(signerCertificate)
+  if (usageError) {
+    return usageError
+  }
+  const engine = new pkijs.CertificateChainValidationEngine({
+    trustedCerts,
+    certs: [
+      ...signedData.certificates.filter(
+        (certificate) => certificate instanceof pkijs.Certificate && certificate !== signerCertificate,
+      ),
+      signerCertificate,
+    ],
+    checkDate,
+  })
+  const result = await engine.verify()
+  return result.result
+    ? null
+    : `The certificate chain is not trusted: ${result.resultMessage}`
+}
+
+export { signature }